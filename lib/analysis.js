@@ -0,0 +1,154 @@
+// lib/analysis.js - Review analysis: prompt, response parsing and a local heuristic fallback
+
+const { detectLanguage } = require('./languages');
+const { wrapReview } = require('./prompt');
+
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+
+const POSITIVE_WORDS = [
+  'great', 'excellent', 'amazing', 'good', 'love', 'loved', 'friendly', 'delicious', 'perfect', 'recommend', 'nice', 'best',
+  'excelent', 'minunat', 'bun', 'bună', 'gustos', 'recomand', 'amabil', 'superb', 'frumos',
+  'excelente', 'bueno', 'genial', 'délicieux', 'parfait', 'toll', 'lecker', 'super', 'ottimo', 'buono'
+];
+
+const NEGATIVE_WORDS = [
+  'bad', 'terrible', 'awful', 'rude', 'cold', 'dirty', 'slow', 'worst', 'never', 'disappointed', 'horrible', 'expensive',
+  'rău', 'prost', 'groaznic', 'nepoliticos', 'rece', 'murdar', 'lent', 'dezamăgit', 'scump', 'niciodată',
+  'malo', 'sucio', 'mauvais', 'sale', 'schlecht', 'schmutzig', 'cattivo', 'sporco'
+];
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+}
+
+// Match topic lists on a shared stem so inflected forms still count
+function findTopics(text, typeInfo) {
+  if (!typeInfo) return [];
+
+  const words = tokenize(text);
+  const matchesTerm = term => tokenize(term).every(part => words.some(word => word.startsWith(part.slice(0, 5))));
+  const groups = {
+    keyword: typeInfo.keywords,
+    commonIssue: typeInfo.commonIssues,
+    positiveAspect: typeInfo.positiveAspects
+  };
+
+  return Object.entries(groups).flatMap(([kind, terms]) =>
+    terms.filter(matchesTerm).map(topic => ({ topic, kind }))
+  );
+}
+
+function suggestTone(rating, sentiment) {
+  if (rating <= 2 || sentiment === 'negative') return 'apologetic';
+  if (rating >= 5) return 'grateful';
+  if (rating === 4) return 'friendly';
+  return 'professional';
+}
+
+function templateCategoryFor(rating) {
+  if (rating >= 4) return 'positive';
+  if (rating <= 2) return 'negative';
+  return 'neutral';
+}
+
+// Complete an analysis with the derived fields the extension pre-selects
+function finishAnalysis({ sentiment, rating, language, topics, summary = null }, source) {
+  return {
+    sentiment,
+    rating,
+    language,
+    topics,
+    summary,
+    suggestedTone: suggestTone(rating, sentiment),
+    templateCategory: templateCategoryFor(rating),
+    source
+  };
+}
+
+// Local analysis used when the model is unavailable
+function analyzeHeuristically(reviewText, typeInfo) {
+  const words = tokenize(reviewText);
+  const positive = words.filter(word => POSITIVE_WORDS.includes(word)).length;
+  const negative = words.filter(word => NEGATIVE_WORDS.includes(word)).length;
+
+  let sentiment = 'neutral';
+  if (positive > 0 && negative > 0) sentiment = 'mixed';
+  else if (positive > 0) sentiment = 'positive';
+  else if (negative > 0) sentiment = 'negative';
+
+  const balance = positive - negative;
+  const rating = Math.max(1, Math.min(5, 3 + Math.sign(balance) * Math.min(2, Math.abs(balance))));
+
+  return finishAnalysis({
+    sentiment,
+    rating,
+    language: detectLanguage(reviewText),
+    topics: findTopics(reviewText, typeInfo)
+  }, 'heuristic');
+}
+
+function buildAnalysisPrompt(reviewText, typeInfo) {
+  const topicLists = typeInfo
+    ? `
+Only use topics from these lists (copy them exactly, they are in Romanian even if the review is not):
+- keyword: ${typeInfo.keywords.join(', ')}
+- commonIssue: ${typeInfo.commonIssues.join(', ')}
+- positiveAspect: ${typeInfo.positiveAspects.join(', ')}`
+    : `
+Use kind "other" and short English names for topics.`;
+
+  return `Analyze this customer review and answer with JSON only, no other text.
+
+${wrapReview(reviewText)}
+
+JSON fields:
+- "sentiment": one of ${SENTIMENTS.map(s => `"${s}"`).join(', ')}
+- "rating": the star rating (1-5) the reviewer most likely gave
+- "language": ISO 639-1 code of the review language
+- "topics": array of { "topic": string, "kind": "keyword" | "commonIssue" | "positiveAspect" | "other" }
+- "summary": one short English sentence on what the review is about
+${topicLists}`;
+}
+
+// Validate the model's JSON, keeping only values we know how to use
+function parseAnalysis(raw, reviewText, typeInfo) {
+  const match = (raw || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('Analysis response is not JSON');
+  }
+
+  const data = JSON.parse(match[0]);
+  const allowed = typeInfo
+    ? {
+      keyword: typeInfo.keywords,
+      commonIssue: typeInfo.commonIssues,
+      positiveAspect: typeInfo.positiveAspects
+    }
+    : null;
+
+  const topics = (Array.isArray(data.topics) ? data.topics : [])
+    .filter(t => t && typeof t.topic === 'string')
+    .filter(t => allowed ? allowed[t.kind]?.includes(t.topic) : true)
+    .map(t => ({ topic: t.topic, kind: allowed ? t.kind : 'other' }))
+    .slice(0, 10);
+
+  const rating = Math.round(Number(data.rating));
+
+  return finishAnalysis({
+    sentiment: SENTIMENTS.includes(data.sentiment) ? data.sentiment : 'neutral',
+    rating: rating >= 1 && rating <= 5 ? rating : 3,
+    language: typeof data.language === 'string' && /^[a-z]{2}$/.test(data.language)
+      ? data.language
+      : detectLanguage(reviewText),
+    topics,
+    summary: typeof data.summary === 'string' ? data.summary.substring(0, 300) : null
+  }, 'model');
+}
+
+module.exports = {
+  buildAnalysisPrompt,
+  parseAnalysis,
+  analyzeHeuristically,
+  suggestTone,
+  templateCategoryFor
+};
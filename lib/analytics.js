@@ -0,0 +1,230 @@
+// lib/analytics.js - Usage time series, breakdowns and month-over-month figures from ApiCall and Usage
+
+// SQLite strftime formats; weeks start on Monday (%W)
+const GRANULARITIES = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+};
+
+const BUCKET_DAYS = { day: 1, week: 7, month: 31 };
+const MAX_BUCKETS = 366;
+
+const DEFAULT_RANGE_DAYS = { day: 30, week: 7 * 12, month: 365 };
+
+const pad = value => String(value).padStart(2, '0');
+
+// Same labels strftime produces, in UTC
+function periodLabel(date, granularity) {
+  const year = date.getUTCFullYear();
+
+  if (granularity === 'month') {
+    return `${year}-${pad(date.getUTCMonth() + 1)}`;
+  }
+  if (granularity === 'week') {
+    const dayOfYear = Math.floor((date - Date.UTC(year, 0, 1)) / 86400000);
+    const mondayBased = (date.getUTCDay() + 6) % 7;
+    return `${year}-W${pad(Math.floor((dayOfYear + 7 - mondayBased) / 7))}`;
+  }
+  return `${year}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Every period label between from and to, so gaps show up as zeros
+function periodLabels(from, to, granularity) {
+  const labels = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), granularity === 'month' ? 1 : from.getUTCDate()));
+
+  while (cursor <= to) {
+    const label = periodLabel(cursor, granularity);
+    if (labels[labels.length - 1] !== label) labels.push(label);
+
+    if (granularity === 'month') {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Default range for a granularity, and whether a range is small enough to chart.
+ */
+function resolveRange({ from, to, granularity = 'day' }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS[granularity] * 86400000);
+  const buckets = (end - start) / (BUCKET_DAYS[granularity] * 86400000);
+
+  return {
+    from: start,
+    to: end,
+    granularity,
+    valid: start <= end && buckets <= MAX_BUCKETS
+  };
+}
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+function rate(part, total) {
+  return total === 0 ? 0 : Math.round((part / total) * 10000) / 100;
+}
+
+function withRates(row) {
+  return {
+    ...row,
+    failureRate: rate(row.failures, row.requests),
+    fallbackRate: rate(row.fallbacks, row.requests)
+  };
+}
+
+/**
+ * Requests, failures, fallbacks, tokens, cost and average duration per period, in one query.
+ * Prisma stores SQLite DateTime values as epoch milliseconds.
+ */
+async function getUsageSeries(prisma, userId, { from, to, granularity }) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      strftime(${GRANULARITIES[granularity]}, createdAt / 1000, 'unixepoch') AS period,
+      COUNT(*) AS requests,
+      SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS failures,
+      SUM(CASE WHEN fallback = 1 THEN 1 ELSE 0 END) AS fallbacks,
+      COALESCE(SUM(tokensUsed), 0) AS tokens,
+      COALESCE(SUM(cost), 0) AS cost,
+      AVG(duration) AS avgDuration
+    FROM api_calls
+    WHERE userId = ${userId} AND createdAt >= ${from.getTime()} AND createdAt <= ${to.getTime()}
+    GROUP BY period
+    ORDER BY period`;
+
+  // SQLite counts come back as BigInt
+  const byPeriod = new Map(rows.map(row => [row.period, {
+    period: row.period,
+    requests: Number(row.requests),
+    failures: Number(row.failures),
+    fallbacks: Number(row.fallbacks),
+    tokens: Number(row.tokens),
+    cost: roundCost(Number(row.cost)),
+    avgDuration: row.avgDuration === null ? null : Math.round(Number(row.avgDuration))
+  }]));
+
+  return periodLabels(from, to, granularity).map(period => withRates(byPeriod.get(period) || {
+    period,
+    requests: 0,
+    failures: 0,
+    fallbacks: 0,
+    tokens: 0,
+    cost: 0,
+    avgDuration: null
+  }));
+}
+
+function summarizeSeries(series) {
+  const totals = series.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    failures: sum.failures + row.failures,
+    fallbacks: sum.fallbacks + row.fallbacks,
+    tokens: sum.tokens + row.tokens,
+    cost: sum.cost + row.cost,
+    duration: sum.duration + (row.avgDuration || 0) * row.requests
+  }), { requests: 0, failures: 0, fallbacks: 0, tokens: 0, cost: 0, duration: 0 });
+
+  const { duration, ...rest } = totals;
+  return withRates({
+    ...rest,
+    cost: roundCost(rest.cost),
+    avgDuration: totals.requests === 0 ? null : Math.round(duration / totals.requests)
+  });
+}
+
+/**
+ * Requests, tokens and cost by kind (reply or analysis), tone, language and businessType,
+ * from one grouped query.
+ */
+async function getBreakdowns(prisma, userId, { from, to }) {
+  const groups = await prisma.apiCall.groupBy({
+    by: ['kind', 'tone', 'language', 'businessType'],
+    where: {
+      userId,
+      createdAt: { gte: from, lte: to }
+    },
+    _count: { _all: true },
+    _sum: { tokensUsed: true, cost: true }
+  });
+
+  const breakdowns = { kind: {}, tone: {}, language: {}, businessType: {} };
+
+  for (const group of groups) {
+    for (const dimension of Object.keys(breakdowns)) {
+      // Analyses have no tone of their own, only the column default
+      if (dimension === 'tone' && group.kind === 'analysis') continue;
+
+      const key = group[dimension] || 'general';
+      const entry = breakdowns[dimension][key] || { key, requests: 0, tokens: 0, cost: 0 };
+
+      entry.requests += group._count._all;
+      entry.tokens += group._sum.tokensUsed || 0;
+      entry.cost += group._sum.cost || 0;
+      breakdowns[dimension][key] = entry;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(breakdowns).map(([dimension, entries]) => [
+    dimension,
+    Object.values(entries)
+      .map(entry => ({ ...entry, cost: roundCost(entry.cost) }))
+      .sort((a, b) => b.requests - a.requests)
+  ]));
+}
+
+function change(current, previous) {
+  if (current === null || previous === null) return null;
+  if (previous === 0) return current === 0 ? 0 : null;
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+}
+
+/**
+ * This month against last month: generated figures from ApiCall, billed requests from Usage.
+ */
+async function getMonthOverMonth(prisma, userId, now = new Date()) {
+  const previousStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  // Usage rows are keyed by server-local month, like everywhere else
+  const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
+  const [series, usage] = await Promise.all([
+    getUsageSeries(prisma, userId, { from: previousStart, to: now, granularity: 'month' }),
+    prisma.usage.findMany({
+      where: {
+        userId,
+        OR: [
+          { month: now.getMonth(), year: now.getFullYear() },
+          { month: previousMonth.getMonth(), year: previousMonth.getFullYear() }
+        ]
+      }
+    })
+  ]);
+
+  const billed = date => usage.find(entry => entry.month === date.getMonth() && entry.year === date.getFullYear())?.requestCount || 0;
+
+  const previous = { ...series[0], billed: billed(previousMonth) };
+  const current = { ...series[series.length - 1], billed: billed(now) };
+
+  return {
+    current,
+    previous,
+    change: Object.fromEntries(
+      ['requests', 'billed', 'tokens', 'cost', 'avgDuration', 'failureRate', 'fallbackRate']
+        .map(field => [field, change(current[field], previous[field])])
+    )
+  };
+}
+
+module.exports = {
+  GRANULARITIES,
+  resolveRange,
+  getUsageSeries,
+  summarizeSeries,
+  getBreakdowns,
+  getMonthOverMonth,
+  periodLabel
+};
@@ -0,0 +1,142 @@
+// lib/business.js - Business types and profile context shared by the business and review routes
+
+// Tipurile de business predefinite
+const BUSINESS_TYPES = {
+  restaurant: {
+    name: 'Restaurant/Cafenea',
+    keywords: ['mâncare', 'servire', 'gust', 'atmosferă', 'personal', 'bucătar'],
+    responseStyle: 'warm_hospitality',
+    commonIssues: ['servire lentă', 'mâncare rece', 'zgomot', 'prețuri'],
+    positiveAspects: ['gust', 'porții', 'ambianță', 'personal amabil']
+  },
+  hotel: {
+    name: 'Hotel/Cazare',
+    keywords: ['cameră', 'curățenie', 'personal', 'servicii', 'locație'],
+    responseStyle: 'professional_hospitality',
+    commonIssues: ['cameră murdară', 'zgomot', 'wifi', 'aer condiționat'],
+    positiveAspects: ['curățenie', 'locație', 'personal', 'facilități']
+  },
+  medical: {
+    name: 'Servicii Medicale',
+    keywords: ['doctor', 'tratament', 'personal', 'programare', 'diagnostic'],
+    responseStyle: 'professional_caring',
+    commonIssues: ['timp de așteptare', 'comunicare', 'programări'],
+    positiveAspects: ['profesionalism', 'grijă', 'rezultate', 'explicații']
+  },
+  retail: {
+    name: 'Retail/Magazin',
+    keywords: ['produse', 'personal', 'prețuri', 'calitate', 'disponibilitate'],
+    responseStyle: 'helpful_professional',
+    commonIssues: ['produse indisponibile', 'cozi', 'schimburi', 'prețuri'],
+    positiveAspects: ['varietate', 'calitate', 'prețuri', 'personal util']
+  },
+  beauty: {
+    name: 'Salon/Beauty',
+    keywords: ['servicii', 'personal', 'rezultat', 'programare', 'prețuri'],
+    responseStyle: 'personal_caring',
+    commonIssues: ['rezultat nesatisfăcător', 'întârzieri', 'programări'],
+    positiveAspects: ['rezultat', 'profesionalism', 'ambianță', 'experiență']
+  },
+  automotive: {
+    name: 'Service Auto',
+    keywords: ['reparație', 'personal', 'prețuri', 'timp', 'calitate'],
+    responseStyle: 'technical_professional',
+    commonIssues: ['prețuri mari', 'timp lung', 'explicații neclare'],
+    positiveAspects: ['rapiditate', 'calitate', 'personal', 'prețuri corecte']
+  }
+};
+
+// Template-uri predefinite
+const DEFAULT_TEMPLATES = {
+  positive_grateful: {
+    name: 'Pozitiv - Recunoscător',
+    category: 'positive',
+    template: `Vă mulțumim din suflet pentru feedback-ul pozitiv și pentru că ați ales {businessName}! Suntem foarte bucuroși să aflăm că {specificMention}. Echipa noastră se străduiește mereu să ofere {positiveAspect} și să creeze experiențe memorabile. Vă așteptăm cu drag să ne vizitați din nou!`
+  },
+  positive_professional: {
+    name: 'Pozitiv - Profesional',
+    category: 'positive',
+    template: `Mulțumim pentru review-ul pozitiv! Feedback-ul dumneavoastră confirmă angajamentul nostru pentru {positiveAspect}. Suntem mândri că {specificMention} și continuăm să îmbunătățim serviciile pentru clienții noștri fideli. Vă mulțumim că ați ales {businessName}!`
+  },
+  negative_apologetic: {
+    name: 'Negativ - Scuze Sincere',
+    category: 'negative',
+    template: `Îmi pare foarte rău pentru experiența neplăcută pe care ați avut-o la {businessName}. Înțeleg frustrarea dumneavoastră legată de {specificIssue} și vreau să știți că luăm acest feedback foarte în serios. {actionPlan} Vă rugăm să ne contactați direct la {contactMethod} pentru a rezolva această situație. Mulțumim pentru răbdare și pentru că ne-ați oferit șansa să ne îmbunătățim.`
+  },
+  negative_solution_focused: {
+    name: 'Negativ - Soluții Concrete',
+    category: 'negative',
+    template: `Vă mulțumim pentru feedback și ne pare rău că nu am reușit să vă oferim experiența așteptată. Pentru {specificIssue}, am luat deja următoarele măsuri: {solutionSteps}. Vă invit să ne dați o nouă șansă și să experimentați îmbunătățirile pe care le-am implementat. Contactați-ne la {contactMethod} pentru mai multe detalii.`
+  },
+  neutral_engaging: {
+    name: 'Neutru - Angajant',
+    category: 'neutral',
+    template: `Mulțumim pentru timpul acordat să ne evaluați serviciile! Feedback-ul dumneavoastră ne ajută să înțelegem mai bine experiența clienților noștri. {specificResponse} Suntem mereu deschiși la sugestii pentru îmbunătățire și vă încurajăm să ne contactați direct la {contactMethod} cu orice întrebări sau recomandări.`
+  }
+};
+
+const BRAND_VOICES = ['formal', 'casual', 'friendly', 'professional', 'luxury'];
+const RESPONSE_LENGTHS = ['short', 'medium', 'long'];
+
+// Approximate word and token budgets per BusinessProfile.responseLength
+const RESPONSE_LENGTH_LIMITS = {
+  short: { words: 50, maxTokens: 150 },
+  medium: { words: 100, maxTokens: 250 },
+  long: { words: 180, maxTokens: 400 }
+};
+
+// customKeywords is stored as a JSON string on BusinessProfile
+function parseCustomKeywords(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Merge the saved BusinessProfile with request-level overrides (overrides win)
+function resolveBusinessContext(user, overrides = {}) {
+  const profile = user.businessProfile || {};
+  const businessType = overrides.businessType || profile.businessType || 'general';
+
+  return {
+    businessType,
+    typeInfo: BUSINESS_TYPES[businessType] || null,
+    businessName: overrides.businessName || profile.businessName || user.businessName || null,
+    description: overrides.description ?? profile.description ?? null,
+    brandVoice: overrides.brandVoice || profile.brandVoice || 'professional',
+    responseLength: overrides.responseLength || profile.responseLength || 'medium',
+    specialInstructions: overrides.specialInstructions ?? profile.specialInstructions ?? null,
+    customKeywords: overrides.customKeywords
+      ? parseCustomKeywords(overrides.customKeywords)
+      : parseCustomKeywords(profile.customKeywords),
+    hasProfile: Boolean(user.businessProfile),
+    profileVersion: user.businessProfile?.updatedAt || null
+  };
+}
+
+// Look up a template by DEFAULT_TEMPLATES key or by the id of one of the user's ResponseTemplates
+async function findTemplate(prisma, userId, templateId) {
+  if (DEFAULT_TEMPLATES[templateId]) {
+    return { id: templateId, ...DEFAULT_TEMPLATES[templateId], isDefault: true };
+  }
+
+  const custom = await prisma.responseTemplate.findFirst({
+    where: { id: templateId, userId, isActive: true }
+  });
+
+  return custom ? { ...custom, isDefault: false } : null;
+}
+
+module.exports = {
+  BUSINESS_TYPES,
+  DEFAULT_TEMPLATES,
+  BRAND_VOICES,
+  RESPONSE_LENGTHS,
+  RESPONSE_LENGTH_LIMITS,
+  parseCustomKeywords,
+  resolveBusinessContext,
+  findTemplate
+};
@@ -0,0 +1,167 @@
+// lib/credits.js - Prepaid response credits: grants, consumption, refunds and expiry
+//
+// Every pack bought is a CreditGrant with its own expiry date; the balance is what is left on
+// grants that have not expired. Credits are only spent once monthlyLimit is used up, from the
+// grant that expires first, and every change is written to CreditLedgerEntry with the balance
+// after it, so the user can see where each credit went.
+
+const { CREDIT_PACKS } = require('./plans');
+
+const CREDIT_ENTRY_TYPES = ['purchase', 'consume', 'refund', 'expire'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 100;
+
+const activeGrants = (now) => ({ remaining: { gt: 0 }, expiresAt: { gt: now } });
+
+// db is the Prisma client or a transaction client
+async function getCreditBalance(db, userId, now = new Date()) {
+  const { _sum } = await db.creditGrant.aggregate({
+    where: { userId, ...activeGrants(now) },
+    _sum: { remaining: true }
+  });
+  return _sum.remaining || 0;
+}
+
+// Requests of a usage increment (before → after) that fall over monthlyLimit; those cost credits
+function creditsNeeded(monthlyLimit, before, after) {
+  if (monthlyLimit === -1) return 0;
+  return Math.max(0, after - Math.max(monthlyLimit, before));
+}
+
+async function writeEntry(db, userId, { grantId = null, type, amount, reference = null }, now) {
+  return db.creditLedgerEntry.create({
+    data: {
+      userId,
+      grantId,
+      type,
+      amount,
+      reference,
+      balanceAfter: await getCreditBalance(db, userId, now)
+    }
+  });
+}
+
+/**
+ * Add the credits of a purchased pack. reference (the Checkout session id) is unique per
+ * grant, so a replayed webhook gets the existing grant back instead of paying out twice.
+ */
+async function grantCredits(db, userId, packId, { reference, now = new Date() }) {
+  const pack = CREDIT_PACKS[packId];
+  if (!pack) {
+    throw new Error(`Unknown credit pack: ${packId}`);
+  }
+
+  const existing = await db.creditGrant.findUnique({ where: { reference } });
+  if (existing) return existing;
+
+  const grant = await db.creditGrant.create({
+    data: {
+      userId,
+      packId,
+      credits: pack.credits,
+      remaining: pack.credits,
+      reference,
+      expiresAt: new Date(now.getTime() + pack.validityDays * DAY_MS)
+    }
+  });
+
+  await writeEntry(db, userId, { grantId: grant.id, type: 'purchase', amount: pack.credits, reference }, now);
+  return grant;
+}
+
+/**
+ * Spend up to amount credits, soonest-expiring grant first, with one ledger entry per grant.
+ * Returns how many were spent: less than amount only when a concurrent request used the
+ * balance after the caller checked it, in which case the work is already done and not refused.
+ */
+async function consumeCredits(db, userId, amount, { reference = null, now = new Date() } = {}) {
+  if (amount <= 0) return 0;
+
+  const grants = await db.creditGrant.findMany({
+    where: { userId, ...activeGrants(now) },
+    orderBy: [{ expiresAt: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  let left = amount;
+  for (const grant of grants) {
+    if (left === 0) break;
+
+    const take = Math.min(left, grant.remaining);
+    // Conditional, so two requests cannot spend the same credits
+    const { count } = await db.creditGrant.updateMany({
+      where: { id: grant.id, remaining: { gte: take } },
+      data: { remaining: { decrement: take } }
+    });
+    if (count === 0) continue;
+
+    left -= take;
+    await writeEntry(db, userId, { grantId: grant.id, type: 'consume', amount: -take, reference }, now);
+  }
+
+  return amount - left;
+}
+
+// Give back up to amount credits spent under reference (failed batch items), latest spent first
+async function refundCredits(db, userId, reference, amount, { now = new Date() } = {}) {
+  const entries = await db.creditLedgerEntry.findMany({
+    where: { userId, reference, type: { in: ['consume', 'refund'] } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  // Credits still owed back per grant
+  const spent = new Map();
+  for (const entry of entries) {
+    spent.set(entry.grantId, (spent.get(entry.grantId) || 0) - entry.amount);
+  }
+
+  let left = amount;
+  for (const [grantId, net] of spent) {
+    if (left === 0) break;
+    if (!grantId || net <= 0) continue;
+
+    const give = Math.min(left, net);
+    await db.creditGrant.update({
+      where: { id: grantId },
+      data: { remaining: { increment: give } }
+    });
+
+    left -= give;
+    await writeEntry(db, userId, { grantId, type: 'refund', amount: give, reference }, now);
+  }
+
+  return amount - left;
+}
+
+// Zero the grants past their expiry date and log what was lost (the balance already skips them)
+async function expireCredits(prisma, now = new Date()) {
+  const lapsed = await prisma.creditGrant.findMany({
+    where: { remaining: { gt: 0 }, expiresAt: { lte: now } },
+    take: EXPIRY_BATCH_SIZE
+  });
+
+  for (const grant of lapsed) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.creditGrant.updateMany({
+        where: { id: grant.id, remaining: grant.remaining },
+        data: { remaining: 0 }
+      });
+
+      if (count > 0) {
+        await writeEntry(tx, grant.userId, { grantId: grant.id, type: 'expire', amount: -grant.remaining }, now);
+      }
+    });
+  }
+
+  return lapsed.length;
+}
+
+module.exports = {
+  CREDIT_ENTRY_TYPES,
+  getCreditBalance,
+  creditsNeeded,
+  grantCredits,
+  consumeCredits,
+  refundCredits,
+  expireCredits
+};
@@ -0,0 +1,33 @@
+// lib/fallback.js - Localized replies used when the LLM provider fails
+
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./languages');
+
+/**
+ * Build a reply without the model.
+ * A template the business wrote is used as-is when nothing but {businessName} needs filling;
+ * otherwise the localized canned reply for the tone, signed with the business name.
+ */
+function buildFallbackResponse({ tone, language, business = {}, template = null }) {
+  const { businessName } = business;
+
+  if (template && businessName) {
+    const filled = template.template.replace(/\{businessName\}/g, businessName);
+    if (!/\{\w+\}/.test(filled)) {
+      return filled;
+    }
+  }
+
+  const { fallback, signature: signatureTemplate } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const reply = fallback[tone] || fallback.professional;
+
+  if (!businessName) {
+    return reply;
+  }
+
+  const signature = signatureTemplate.replace('{businessName}', businessName);
+  return `${reply}\n\n${signature}`;
+}
+
+module.exports = {
+  buildFallbackResponse
+};
@@ -0,0 +1,23 @@
+// lib/feedback.js - Feedback types and the triage workflow
+
+const FEEDBACK_TYPES = ['general', 'bug', 'feature', 'response_quality', 'billing'];
+
+// open → in_progress → resolved; resolved feedback can be reopened
+const FEEDBACK_TRANSITIONS = {
+  open: ['in_progress', 'resolved'],
+  in_progress: ['open', 'resolved'],
+  resolved: ['open']
+};
+
+const FEEDBACK_STATUSES = Object.keys(FEEDBACK_TRANSITIONS);
+
+function canTransition(from, to) {
+  return (FEEDBACK_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  FEEDBACK_TYPES,
+  FEEDBACK_STATUSES,
+  FEEDBACK_TRANSITIONS,
+  canTransition
+};
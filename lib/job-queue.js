@@ -0,0 +1,41 @@
+// lib/job-queue.js - In-process job queue with bounded concurrency
+
+function createJobQueue({ concurrency = 3 } = {}) {
+  const pending = [];
+  let running = 0;
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      running++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          runNext();
+        });
+    }
+  };
+
+  return {
+    // Resolves with the task's result once a slot is free and the task has run
+    push(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        runNext();
+      });
+    },
+
+    get size() {
+      return pending.length;
+    },
+
+    get running() {
+      return running;
+    }
+  };
+}
+
+module.exports = { createJobQueue };
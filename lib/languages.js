@@ -0,0 +1,192 @@
+// lib/languages.js - Supported reply languages: names, detection hints and fallback texts
+//
+// Adding a language here makes it valid in the API, usable in prompts,
+// detectable with language: 'auto' and covered by fallback replies.
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    hints: ['the', 'and', 'was', 'with', 'very', 'but', 'not', 'for', 'this', 'were', 'staff', 'food'],
+    signature: 'The {businessName} team',
+    fallback: {
+      professional: 'Thank you for your feedback. We appreciate you taking the time to share your experience with us.',
+      friendly: 'Thanks so much for your review! We really appreciate you sharing your thoughts with us.',
+      apologetic: 'We sincerely apologize for any inconvenience. Your feedback is important to us and we will work to improve.',
+      grateful: 'Thank you so much for your wonderful feedback! We truly appreciate your support.'
+    }
+  },
+  ro: {
+    name: 'Romanian',
+    hints: ['și', 'foarte', 'este', 'am', 'nu', 'dar', 'cu', 'pentru', 'mai', 'fost', 'personal', 'mâncare'],
+    signature: 'Echipa {businessName}',
+    fallback: {
+      professional: 'Vă mulțumim pentru feedback. Apreciem că ați acordat timp pentru a ne împărtăși experiența dumneavoastră.',
+      friendly: 'Mulțumim mult pentru recenzie! Ne bucurăm că ne-ați împărtășit părerea dumneavoastră.',
+      apologetic: 'Ne cerem sincer scuze pentru neplăcerile create. Feedback-ul dumneavoastră este important pentru noi și vom lucra să ne îmbunătățim.',
+      grateful: 'Vă mulțumim din suflet pentru feedback-ul minunat! Apreciem enorm sprijinul dumneavoastră.'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    hints: ['el', 'la', 'muy', 'pero', 'con', 'para', 'fue', 'los', 'las', 'comida', 'servicio', 'y'],
+    signature: 'El equipo de {businessName}',
+    fallback: {
+      professional: 'Gracias por sus comentarios. Agradecemos que se haya tomado el tiempo de compartir su experiencia con nosotros.',
+      friendly: '¡Muchas gracias por su reseña! Nos alegra mucho que haya compartido su opinión con nosotros.',
+      apologetic: 'Le pedimos sinceras disculpas por las molestias. Sus comentarios son importantes para nosotros y trabajaremos para mejorar.',
+      grateful: '¡Muchísimas gracias por sus maravillosos comentarios! Agradecemos de verdad su apoyo.'
+    }
+  },
+  fr: {
+    name: 'French',
+    hints: ['le', 'la', 'très', 'mais', 'avec', 'pour', 'était', 'les', 'des', 'nous', 'service', 'et'],
+    signature: 'L\'équipe {businessName}',
+    fallback: {
+      professional: 'Merci pour votre retour. Nous vous remercions d\'avoir pris le temps de partager votre expérience avec nous.',
+      friendly: 'Merci beaucoup pour votre avis ! Nous sommes ravis que vous ayez partagé votre ressenti avec nous.',
+      apologetic: 'Nous vous présentons nos sincères excuses pour la gêne occasionnée. Votre avis compte pour nous et nous allons nous améliorer.',
+      grateful: 'Merci infiniment pour ce merveilleux retour ! Nous apprécions sincèrement votre soutien.'
+    }
+  },
+  de: {
+    name: 'German',
+    hints: ['der', 'die', 'das', 'und', 'sehr', 'aber', 'mit', 'nicht', 'war', 'ist', 'essen', 'ich'],
+    signature: 'Ihr {businessName}-Team',
+    fallback: {
+      professional: 'Vielen Dank für Ihr Feedback. Wir schätzen es, dass Sie sich die Zeit genommen haben, Ihre Erfahrung mit uns zu teilen.',
+      friendly: 'Herzlichen Dank für Ihre Bewertung! Wir freuen uns sehr, dass Sie Ihre Eindrücke mit uns teilen.',
+      apologetic: 'Wir entschuldigen uns aufrichtig für die Unannehmlichkeiten. Ihr Feedback ist uns wichtig und wir arbeiten daran, besser zu werden.',
+      grateful: 'Vielen herzlichen Dank für Ihr wunderbares Feedback! Wir schätzen Ihre Unterstützung sehr.'
+    }
+  },
+  it: {
+    name: 'Italian',
+    hints: ['il', 'la', 'molto', 'ma', 'con', 'per', 'era', 'non', 'che', 'servizio', 'cibo', 'e'],
+    signature: 'Il team di {businessName}',
+    fallback: {
+      professional: 'Grazie per il suo feedback. Apprezziamo che abbia dedicato del tempo a condividere la sua esperienza con noi.',
+      friendly: 'Grazie mille per la recensione! Siamo felici che abbia condiviso la sua opinione con noi.',
+      apologetic: 'Ci scusiamo sinceramente per il disagio. Il suo feedback è importante per noi e lavoreremo per migliorare.',
+      grateful: 'Grazie di cuore per il suo splendido feedback! Apprezziamo davvero il suo sostegno.'
+    }
+  },
+  hu: {
+    name: 'Hungarian',
+    hints: ['és', 'nagyon', 'nem', 'volt', 'hogy', 'egy', 'az', 'de', 'is', 'meg', 'étel', 'kiszolgálás'],
+    signature: 'A {businessName} csapata',
+    fallback: {
+      professional: 'Köszönjük a visszajelzését. Nagyra értékeljük, hogy időt szánt arra, hogy megossza velünk a tapasztalatait.',
+      friendly: 'Nagyon köszönjük az értékelést! Örülünk, hogy megosztotta velünk a véleményét.',
+      apologetic: 'Őszintén elnézést kérünk a kellemetlenségért. Visszajelzése fontos számunkra, és dolgozunk a fejlődésen.',
+      grateful: 'Szívből köszönjük a csodálatos visszajelzést! Igazán hálásak vagyunk a támogatásáért.'
+    }
+  },
+  pl: {
+    name: 'Polish',
+    hints: ['jest', 'bardzo', 'nie', 'był', 'była', 'było', 'ale', 'się', 'że', 'jak', 'jedzenie', 'obsługa'],
+    signature: 'Zespół {businessName}',
+    fallback: {
+      professional: 'Dziękujemy za opinię. Doceniamy, że poświęcili Państwo czas, aby podzielić się z nami swoimi wrażeniami.',
+      friendly: 'Bardzo dziękujemy za recenzję! Cieszymy się, że podzielili się Państwo z nami swoją opinią.',
+      apologetic: 'Szczerze przepraszamy za wszelkie niedogodności. Państwa opinia jest dla nas ważna i będziemy pracować nad poprawą.',
+      grateful: 'Serdecznie dziękujemy za wspaniałą opinię! Naprawdę doceniamy Państwa wsparcie.'
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    hints: ['het', 'een', 'en', 'zeer', 'heel', 'maar', 'niet', 'was', 'met', 'voor', 'eten', 'bediening'],
+    signature: 'Het team van {businessName}',
+    fallback: {
+      professional: 'Bedankt voor uw feedback. We waarderen het dat u de tijd heeft genomen om uw ervaring met ons te delen.',
+      friendly: 'Heel erg bedankt voor uw review! We vinden het fijn dat u uw mening met ons deelt.',
+      apologetic: 'Onze oprechte excuses voor het ongemak. Uw feedback is belangrijk voor ons en we werken eraan om beter te worden.',
+      grateful: 'Hartelijk dank voor uw geweldige feedback! We waarderen uw steun enorm.'
+    }
+  },
+  pt: {
+    name: 'Portuguese',
+    hints: ['não', 'muito', 'mas', 'com', 'foi', 'uma', 'os', 'as', 'é', 'comida', 'atendimento', 'ótimo'],
+    signature: 'Equipe {businessName}',
+    fallback: {
+      professional: 'Obrigado pelo seu comentário. Agradecemos por ter dedicado um tempo para compartilhar sua experiência conosco.',
+      friendly: 'Muito obrigado pela sua avaliação! Ficamos muito felizes por você compartilhar sua opinião conosco.',
+      apologetic: 'Pedimos sinceras desculpas pelo transtorno. Seu feedback é importante para nós e vamos trabalhar para melhorar.',
+      grateful: 'Muito obrigado pelo seu feedback maravilhoso! Agradecemos de verdade o seu apoio.'
+    }
+  },
+  bg: {
+    name: 'Bulgarian',
+    hints: ['и', 'много', 'не', 'беше', 'но', 'за', 'на', 'с', 'е', 'храна', 'обслужване', 'персонал'],
+    signature: 'Екипът на {businessName}',
+    fallback: {
+      professional: 'Благодарим Ви за отзива. Оценяваме, че отделихте време да споделите опита си с нас.',
+      friendly: 'Много благодарим за отзива! Радваме се, че споделихте мнението си с нас.',
+      apologetic: 'Искрено се извиняваме за неудобството. Вашето мнение е важно за нас и ще работим, за да се подобрим.',
+      grateful: 'Сърдечно благодарим за прекрасния отзив! Наистина оценяваме Вашата подкрепа.'
+    }
+  },
+  tr: {
+    name: 'Turkish',
+    hints: ['ve', 'çok', 'bir', 'ama', 'değil', 'için', 'bu', 'da', 'ile', 'yemek', 'servis', 'güzel'],
+    signature: '{businessName} ekibi',
+    fallback: {
+      professional: 'Geri bildiriminiz için teşekkür ederiz. Deneyiminizi bizimle paylaşmak için zaman ayırdığınız için minnettarız.',
+      friendly: 'Değerlendirmeniz için çok teşekkürler! Düşüncelerinizi bizimle paylaşmanıza çok sevindik.',
+      apologetic: 'Yaşadığınız sorun için içtenlikle özür dileriz. Geri bildiriminiz bizim için önemli ve kendimizi geliştirmek için çalışacağız.',
+      grateful: 'Harika geri bildiriminiz için çok teşekkür ederiz! Desteğinizi gerçekten takdir ediyoruz.'
+    }
+  }
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'en';
+
+function languageName(code) {
+  return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+}
+
+// Guess the language from frequent short words; returns fallback when nothing matches
+function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  let best = fallback;
+  let bestHits = 0;
+
+  for (const [code, { hints }] of Object.entries(LANGUAGES)) {
+    const hits = words.filter(word => hints.includes(word)).length;
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Turn a requested language ('auto' or a code) into the language to reply in.
+ * Returns { language, requested, detected }.
+ */
+function resolveLanguage(requested = 'auto', reviewText = '') {
+  if (requested === 'auto') {
+    return {
+      language: detectLanguage(reviewText),
+      requested,
+      detected: true
+    };
+  }
+
+  return {
+    language: requested,
+    requested,
+    detected: false
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  DEFAULT_LANGUAGE,
+  languageName,
+  detectLanguage,
+  resolveLanguage
+};
@@ -0,0 +1,70 @@
+// lib/llm/index.js - LLM provider registry and per-plan model selection
+//
+// Environment:
+//   LLM_PROVIDER            openai (default), local or mock
+//   LLM_MODEL               model for every plan (default gpt-4), unless the defaultModel setting is set
+//   LLM_PROVIDER_<PLAN>     provider for one plan, e.g. LLM_PROVIDER_FREE=local
+//   LLM_MODEL_<PLAN>        model for one plan, e.g. LLM_MODEL_FREE=gpt-4o-mini
+//   LOCAL_LLM_URL           OpenAI-compatible endpoint (Ollama, llama.cpp server)
+//   LOCAL_LLM_MODEL         default model for the local provider
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4',
+  local: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  mock: 'mock-1'
+};
+
+const factories = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  // Local servers are free to run, so every model is priced at 0
+  local: () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    pricing: {}
+  }),
+  mock: () => createMockProvider()
+};
+
+const providers = {};
+
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!providers[name]) {
+    providers[name] = factories[name]();
+  }
+  return providers[name];
+}
+
+/**
+ * Pick provider and model for a subscription plan.
+ * settings.defaultModel (admin setting) takes the place of LLM_MODEL when set.
+ * Returns { provider, model } where provider has complete(), stream() and cost().
+ * complete() and stream() take { model, messages, maxTokens, temperature, signal, kind };
+ * kind is 'reply' (default) or 'analysis', for providers that answer differently per call.
+ */
+function selectLlm(plan = 'free', settings = {}) {
+  const suffix = plan.toUpperCase();
+  const providerName = process.env[`LLM_PROVIDER_${suffix}`] || process.env.LLM_PROVIDER || 'openai';
+  const model = process.env[`LLM_MODEL_${suffix}`] ||
+    settings.defaultModel ||
+    process.env.LLM_MODEL ||
+    DEFAULT_MODELS[providerName];
+
+  return {
+    provider: getProvider(providerName),
+    model
+  };
+}
+
+module.exports = {
+  selectLlm,
+  getProvider
+};
@@ -0,0 +1,67 @@
+// lib/llm/mock.js - Deterministic provider for development and tests (no network, no API key)
+
+const crypto = require('crypto');
+
+const MOCK_REPLIES = [
+  'Thank you for taking the time to share your feedback. We appreciate it and hope to welcome you again soon.',
+  'Thank you for your review! Your comments help our team improve, and we look forward to seeing you again.',
+  'We appreciate your honest feedback. Please contact us directly so we can make your next visit even better.'
+];
+
+const MOCK_ANALYSIS = {
+  sentiment: 'neutral',
+  rating: 3,
+  language: 'en',
+  topics: [],
+  summary: 'Mock analysis'
+};
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Same messages always give the same reply; analysis calls get the JSON /analyze expects
+function replyFor(messages, kind) {
+  if (kind === 'analysis') {
+    return JSON.stringify(MOCK_ANALYSIS);
+  }
+
+  const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest();
+  return MOCK_REPLIES[digest[0] % MOCK_REPLIES.length];
+}
+
+function usageFor(messages, text) {
+  const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+  const completionTokens = estimateTokens(text);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async complete({ messages, kind }) {
+      const text = replyFor(messages, kind);
+      return { text, usage: usageFor(messages, text) };
+    },
+
+    async * stream({ messages, signal, kind }) {
+      const text = replyFor(messages, kind);
+      for (const word of text.split(/(?<= )/)) {
+        if (signal?.aborted) {
+          const error = new Error('Request was aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+        yield { text: word };
+      }
+      yield { usage: usageFor(messages, text) };
+    },
+
+    cost() {
+      return 0;
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,76 @@
+// lib/llm/openai.js - OpenAI chat completions provider (also used for OpenAI-compatible servers)
+
+const OpenAI = require('openai');
+
+// USD per token, approximate
+const MODEL_PRICING = {
+  'gpt-4': { input: 0.00003, output: 0.00006 },
+  'gpt-4-turbo': { input: 0.00001, output: 0.00003 },
+  'gpt-4o': { input: 0.0000025, output: 0.00001 },
+  'gpt-4o-mini': { input: 0.00000015, output: 0.0000006 },
+  'gpt-3.5-turbo': { input: 0.0000005, output: 0.0000015 }
+};
+
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, pricing = MODEL_PRICING } = {}) {
+  // Built on first use: without an API key the constructor throws, and that belongs to the
+  // request (which falls back to a template reply), not to provider selection
+  let client = null;
+  const getClient = () => client || (client = new OpenAI({ apiKey, baseURL }));
+
+  const requestParams = ({ model, messages, maxTokens, temperature = 0.7 }) => ({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    presence_penalty: 0.1,
+    frequency_penalty: 0.1
+  });
+
+  return {
+    name,
+
+    async complete(params) {
+      const completion = await getClient().chat.completions.create(requestParams(params), { signal: params.signal });
+
+      return {
+        text: completion.choices[0].message.content,
+        usage: normalizeUsage(completion.usage)
+      };
+    },
+
+    // Yields { text } chunks, then { usage } when the server reports it
+    async * stream(params) {
+      const stream = await getClient().chat.completions.create({
+        ...requestParams(params),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: params.signal });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          yield { text };
+        }
+        if (chunk.usage) {
+          yield { usage: normalizeUsage(chunk.usage) };
+        }
+      }
+    },
+
+    cost(model, usage) {
+      const price = pricing[model];
+      if (!price) return 0;
+      return (usage.promptTokens * price.input) + (usage.completionTokens * price.output);
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, MODEL_PRICING };
@@ -0,0 +1,133 @@
+// lib/moderation.js - Moderate review input and generated output
+//
+// Environment:
+//   MODERATION_PROVIDER   openai or local; defaults to openai when OPENAI_API_KEY is set
+//   MODERATION_MODEL      OpenAI moderation model (default omni-moderation-latest)
+//
+// The local lexicon covers abuse, threats and defamatory accusations only; hate speech
+// detection relies on the OpenAI moderation model. Output is also checked for personal data
+// that is not part of the business information ("pii").
+
+const OpenAI = require('openai');
+const { findPII } = require('./redaction');
+
+// Categories that stop a request. Input is mostly flagged, since an angry review still
+// deserves a reply. Output is blocked only for what must never be published; a reply that
+// merely uses a lexicon word ("sorry you felt it was a scam") is flagged and logged for review.
+const BLOCKING_CATEGORIES = {
+  input: ['sexual/minors', 'hate/threatening', 'harassment/threatening', 'violence/graphic', 'threat'],
+  output: ['sexual/minors', 'hate/threatening', 'harassment/threatening', 'threat', 'pii']
+};
+
+const LEXICON = {
+  harassment: [
+    'idiot', 'idiots', 'stupid', 'moron', 'morons', 'imbecile', 'retard', 'prost', 'proști', 'prosti',
+    'nesimțit', 'nesimtit', 'nesimțiți', 'jegos', 'jegoși', 'cretin', 'cretini', 'bou', 'boi'
+  ],
+  threat: [
+    'kill you', 'burn it down', 'burn this place', 'beat you', 'te omor', 'vă omor', 'va omor',
+    'vă dau foc', 'va dau foc', 'te bat'
+  ],
+  // Accusations of crimes or dishonesty about a named party
+  defamation: [
+    'thief', 'thieves', 'fraud', 'fraudsters', 'scam', 'scammer', 'scammers', 'crook', 'crooks',
+    'liar', 'liars', 'fake review', 'hoț', 'hoți', 'hoti', 'escroc', 'escroci', 'țeapă',
+    'teapa', 'țepari', 'tepari', 'mincinos', 'mincinoși', 'mincinosi', 'recenzie falsă', 'recenzie falsa'
+  ]
+};
+
+const LEXICON_PATTERNS = Object.fromEntries(
+  Object.entries(LEXICON).map(([category, terms]) => [
+    category,
+    new RegExp(`(?<![\\p{L}])(?:${terms.join('|')})(?![\\p{L}])`, 'iu')
+  ])
+);
+
+let client = null;
+
+function moderationProvider() {
+  const configured = process.env.MODERATION_PROVIDER;
+  if (configured) return configured;
+  return process.env.OPENAI_API_KEY ? 'openai' : 'local';
+}
+
+function moderateLocally(text) {
+  return Object.entries(LEXICON_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([category]) => category);
+}
+
+async function moderateWithOpenAI(text) {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+
+  const result = await client.moderations.create({
+    model: process.env.MODERATION_MODEL || 'omni-moderation-latest',
+    input: text
+  });
+
+  const categories = result.results?.[0]?.categories || {};
+  return Object.keys(categories).filter(category => categories[category]);
+}
+
+// Personal data in a reply that the business information does not contain; the review was
+// redacted before generation, so it can only be made up or leaked
+function leaksPII(text, businessText) {
+  return findPII(text).some(({ match }) => !businessText.includes(match));
+}
+
+function isBlocking(stage, categories) {
+  return categories.some(category => BLOCKING_CATEGORIES[stage].includes(category));
+}
+
+/**
+ * Moderate one text. stage is 'input' (the review) or 'output' (our reply); businessText is
+ * the business information an output may take contact details from.
+ * Returns { flagged, blocked, categories, source }; never throws.
+ */
+async function moderateText(text, { stage = 'input', businessText = '' } = {}) {
+  const categories = new Set(moderateLocally(text || ''));
+  let source = 'local';
+
+  if (stage === 'output' && leaksPII(text, businessText)) {
+    categories.add('pii');
+  }
+
+  if (text && moderationProvider() === 'openai') {
+    try {
+      (await moderateWithOpenAI(text)).forEach(category => categories.add(category));
+      source = 'openai';
+    } catch (error) {
+      // The lexicon still applies when the moderation endpoint is down
+      console.error('Moderation request failed:', error.message);
+    }
+  }
+
+  const list = [...categories];
+  return {
+    flagged: list.length > 0,
+    blocked: isBlocking(stage, list),
+    categories: list,
+    source
+  };
+}
+
+/**
+ * Overall verdict stored on ApiCall and returned to clients:
+ * { action: 'allow' | 'flag' | 'block', input, output }
+ */
+function buildVerdict(input, output = null) {
+  const checks = [input, output].filter(Boolean);
+  let action = 'allow';
+  if (checks.some(check => check.flagged)) action = 'flag';
+  if (checks.some(check => check.blocked)) action = 'block';
+
+  return { action, input, output };
+}
+
+module.exports = {
+  moderateText,
+  buildVerdict,
+  BLOCKING_CATEGORIES
+};
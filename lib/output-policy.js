@@ -0,0 +1,61 @@
+// lib/output-policy.js - Things a generated reply must never say on the business's behalf
+//
+// Refunds and discounts are allowed only when the business profile offers them itself;
+// liability admissions and prompt leaks are never allowed.
+
+const NEGATION = /\b(?:never|not|no|don't|dont|without)\b|\bnu\b|niciodată|niciodata|fără|fara/iu;
+
+const POLICY_RULES = [
+  {
+    rule: 'refund',
+    pattern: /\b(?:refund\w*|money back|reimburs\w*)\b|rambursa\w*|banii înapoi|banii inapoi|reembols\w*|rembours\w*|rückerstatt\w*|rimbors\w*/iu,
+    offerable: true
+  },
+  {
+    rule: 'discount',
+    pattern: /\b(?:discount\w*|voucher\w*|coupon\w*|promo code|\d+\s?% off|free (?:meal|night|stay|drink|dessert|service|visit|session))\b|reducer\w*|cupon\w*|descuento\w*|réduction\w*|rabatt\w*|sconto|zniżk\w*|kedvezmény\w*/iu,
+    offerable: true
+  },
+  {
+    rule: 'liability',
+    pattern: /\b(?:we (?:are|were) (?:legally |fully )?(?:liable|negligent)|(?:accept|admit|take)\w* (?:full |legal )*(?:liability|negligence)|legally responsible|our negligence)\b|ne asumăm (?:întreaga |toată )?răspunderea|recunoaștem vina|din neglijența noastră/iu
+  },
+  {
+    rule: 'instructions',
+    pattern: /\b(?:system prompt|system message|my instructions|(?:i was|i am|i'm) (?:instructed|programmed)|as an ai|language model|ignore (?:all |any |previous |prior |the above )*instructions)\b|<\/?review>|^\s*instructions:/imu
+  }
+];
+
+// A profile offers something when one of its sentences mentions it without a negation
+function offeredByProfile(business, pattern) {
+  const text = [business.description, business.specialInstructions].filter(Boolean).join('. ');
+
+  return text
+    .split(/[.!?\n]+/)
+    .some(sentence => pattern.test(sentence) && !NEGATION.test(sentence));
+}
+
+/**
+ * Check a generated reply. Returns { allowed, violations: [{ rule, match }] }.
+ */
+function checkOutputPolicy(text, business = {}) {
+  const violations = [];
+
+  for (const { rule, pattern, offerable } of POLICY_RULES) {
+    const match = (text || '').match(pattern);
+    if (!match) continue;
+    if (offerable && offeredByProfile(business, pattern)) continue;
+
+    violations.push({ rule, match: match[0] });
+  }
+
+  return {
+    allowed: violations.length === 0,
+    violations
+  };
+}
+
+module.exports = {
+  checkOutputPolicy,
+  POLICY_RULES
+};
@@ -0,0 +1,307 @@
+// lib/plans.js - Plan catalog: limits, prices, Stripe prices, entitlements and credit packs
+//
+// Everything we sell is defined here once. /subscriptions/plans describes it, checkout charges
+// for it, and requireEntitlement enforces it, so the three cannot drift apart again.
+// Monthly request limits can be changed at runtime through the planLimits setting.
+
+// Named entitlements. Boolean ones are on or off; limits are a maximum count, -1 for unlimited.
+// feature is the text shown in the plan list (the extension UI is in Romanian).
+const ENTITLEMENTS = {
+  history_export: {
+    type: 'boolean',
+    label: 'History export',
+    feature: () => 'Export date (CSV/JSON)'
+  },
+  advanced_stats: {
+    type: 'boolean',
+    label: 'Advanced analytics',
+    feature: () => 'Statistici avansate'
+  },
+  api_access: {
+    type: 'boolean',
+    label: 'Batch API',
+    feature: () => 'Integrări API (procesare în lot)'
+  },
+  templates_max: {
+    type: 'limit',
+    label: 'Custom templates',
+    feature: (max) => (max === -1 ? 'Template-uri personalizate nelimitate' : `Până la ${max} template-uri personalizate`)
+  }
+};
+
+const SUPPORT_LEVELS = {
+  community: 'Suport comunitate',
+  email: 'Suport email',
+  priority: 'Suport prioritar',
+  dedicated: 'Suport telefonic 24/7'
+};
+
+// price is in cents. variantBilling: how multi-variant requests count against monthlyLimit,
+// per_variant charges one request per candidate, per_request one request in total.
+// trialDays: free trial on the first subscription (0 for none), see the trialDays setting.
+const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    currency: 'usd',
+    stripePriceId: null,
+    monthlyLimit: 10,
+    trialDays: 0,
+    variantBilling: 'per_variant',
+    support: 'community',
+    entitlements: {
+      history_export: false,
+      advanced_stats: false,
+      api_access: false,
+      templates_max: 3
+    }
+  },
+  basic: {
+    name: 'Basic',
+    price: 499,
+    currency: 'usd',
+    stripePriceId: process.env.STRIPE_BASIC_PRICE_ID || 'price_basic',
+    monthlyLimit: 100,
+    trialDays: 7,
+    variantBilling: 'per_variant',
+    support: 'email',
+    entitlements: {
+      history_export: false,
+      advanced_stats: false,
+      api_access: false,
+      templates_max: 10
+    }
+  },
+  premium: {
+    name: 'Premium',
+    price: 1499,
+    currency: 'usd',
+    stripePriceId: process.env.STRIPE_PREMIUM_PRICE_ID || 'price_premium',
+    monthlyLimit: 500,
+    trialDays: 14,
+    variantBilling: 'per_request',
+    support: 'priority',
+    entitlements: {
+      history_export: true,
+      advanced_stats: true,
+      api_access: true,
+      templates_max: 50
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    price: 4999,
+    currency: 'usd',
+    stripePriceId: process.env.STRIPE_ENTERPRISE_PRICE_ID || 'price_enterprise',
+    monthlyLimit: -1, // unlimited
+    trialDays: 0,
+    variantBilling: 'per_request',
+    support: 'dedicated',
+    entitlements: {
+      history_export: true,
+      advanced_stats: true,
+      api_access: true,
+      templates_max: -1
+    },
+    extras: ['Manager dedicat', 'Customizări personalizate', 'SLA garantat']
+  }
+};
+
+const PLAN_IDS = Object.keys(PLANS);
+
+// One-time packs of extra responses, used once monthlyLimit is exhausted (see lib/credits.js).
+// Credits from a pack expire validityDays after the purchase.
+const CREDIT_PACKS = {
+  credits_50: {
+    name: '50 răspunsuri suplimentare',
+    credits: 50,
+    price: 399,
+    currency: 'usd',
+    stripePriceId: process.env.STRIPE_CREDITS_50_PRICE_ID || 'price_credits_50',
+    validityDays: 180
+  },
+  credits_200: {
+    name: '200 răspunsuri suplimentare',
+    credits: 200,
+    price: 1299,
+    currency: 'usd',
+    stripePriceId: process.env.STRIPE_CREDITS_200_PRICE_ID || 'price_credits_200',
+    validityDays: 365
+  }
+};
+
+// Default monthly request limit per plan (see the planLimits setting)
+const PLAN_LIMITS = Object.fromEntries(PLAN_IDS.map(id => [id, PLANS[id].monthlyLimit]));
+
+// Default trial length per paid plan (see the trialDays setting)
+const TRIAL_DAYS = Object.fromEntries(PLAN_IDS.filter(id => PLANS[id].stripePriceId).map(id => [id, PLANS[id].trialDays]));
+
+// Plan sold under a Stripe price id (subscription items carry the price, not our plan id)
+function planForPrice(priceId) {
+  return PLAN_IDS.find(id => priceId && PLANS[id].stripePriceId === priceId) || null;
+}
+
+// Moving to a plan later in the catalog is an upgrade
+function transitionReason(fromPlan, toPlan) {
+  return PLAN_IDS.indexOf(toPlan) > PLAN_IDS.indexOf(fromPlan) ? 'upgrade' : 'downgrade';
+}
+
+// A paid plan past its expiry date gets free-plan entitlements until it is renewed
+function effectivePlan(user) {
+  const plan = PLANS[user.subscriptionPlan] ? user.subscriptionPlan : 'free';
+  if (plan !== 'free' && !(user.subscriptionExpiresAt > new Date())) {
+    return 'free';
+  }
+  return plan;
+}
+
+function getEntitlements(user) {
+  return { ...PLANS[effectivePlan(user)].entitlements };
+}
+
+// Plans that include an entitlement (or allow more than `used` of a limit), cheapest first
+function plansWith(name, used = 0) {
+  return PLAN_IDS.filter(id => {
+    const value = PLANS[id].entitlements[name];
+    return ENTITLEMENTS[name].type === 'limit' ? value === -1 || value > used : value === true;
+  });
+}
+
+// Feature list for the plan picker, built from the same data that is enforced
+function describePlanFeatures(planId, monthlyLimit = PLANS[planId].monthlyLimit) {
+  const plan = PLANS[planId];
+  const features = [
+    monthlyLimit === -1 ? 'Răspunsuri AI nelimitate' : `${monthlyLimit} răspunsuri AI pe lună`,
+    SUPPORT_LEVELS[plan.support],
+    'Toate limbile și tonurile',
+    'Istoricul răspunsurilor'
+  ];
+
+  for (const [name, value] of Object.entries(plan.entitlements)) {
+    if (value !== false) {
+      features.push(ENTITLEMENTS[name].feature(value));
+    }
+  }
+
+  return [...features, ...(plan.extras || [])];
+}
+
+/**
+ * Middleware: reject with 403 PLAN_UPGRADE_REQUIRED unless the user's plan includes the
+ * entitlement. Limit entitlements need options.count(req), the amount already in use.
+ * options.message replaces the default (English) error for routes answering in Romanian.
+ * Runs after the route's own authentication middleware has set req.user.
+ */
+function requireEntitlement(name, options = {}) {
+  const definition = ENTITLEMENTS[name];
+  if (!definition) {
+    throw new Error(`Unknown entitlement: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const value = getEntitlements(req.user)[name];
+      let used = 0;
+      let allowed = value === true;
+
+      if (definition.type === 'limit') {
+        used = value === -1 ? 0 : await options.count(req);
+        allowed = value === -1 || used < value;
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: options.message || (definition.type === 'limit'
+            ? `${definition.label} limit reached for your plan (${value})`
+            : `${definition.label} is not available on your plan`),
+          code: 'PLAN_UPGRADE_REQUIRED',
+          entitlement: name,
+          ...(definition.type === 'limit' && { limit: value, used }),
+          plans: plansWith(name, used)
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * User fields for a plan change (billing events, admin API and CLI). monthlyLimit follows the plan
+ * (limits from the planLimits setting) unless given explicitly; a paid plan whose expiry
+ * has lapsed gets one more month, since the next request would otherwise be rejected as expired.
+ */
+function buildPlanUpdate(user, { plan, monthlyLimit, subscriptionExpiresAt } = {}, limits = PLAN_LIMITS) {
+  const data = {};
+
+  if (plan !== undefined) {
+    data.subscriptionPlan = plan;
+    data.monthlyLimit = limits[plan];
+
+    if (plan !== 'free' && !subscriptionExpiresAt && user.subscriptionExpiresAt <= new Date()) {
+      data.subscriptionExpiresAt = new Date(new Date().setMonth(new Date().getMonth() + 1));
+      data.subscriptionStatus = 'active';
+    }
+  }
+  if (monthlyLimit !== undefined) data.monthlyLimit = monthlyLimit;
+  if (subscriptionExpiresAt !== undefined) data.subscriptionExpiresAt = subscriptionExpiresAt;
+
+  return data;
+}
+
+/**
+ * Write a user update (usually from buildPlanUpdate) and, when it changes the plan or the
+ * monthly limit, a SubscriptionHistory row in the same transaction. reason defaults to
+ * upgrade/downgrade by catalog order; source is stripe, admin, cli, user (plan change API)
+ * or system (trial expiry).
+ */
+async function applyPlanChange(prisma, user, data, { reason, source, stripeEventId = null, changedById = null, select } = {}) {
+  const toPlan = data.subscriptionPlan ?? user.subscriptionPlan;
+  const toLimit = data.monthlyLimit ?? user.monthlyLimit;
+  const changed = toPlan !== user.subscriptionPlan || toLimit !== user.monthlyLimit;
+
+  const [updated] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data,
+      select
+    }),
+    ...(changed ? [prisma.subscriptionHistory.create({
+      data: {
+        userId: user.id,
+        fromPlan: user.subscriptionPlan,
+        toPlan,
+        fromLimit: user.monthlyLimit,
+        toLimit,
+        reason: reason || transitionReason(user.subscriptionPlan, toPlan),
+        source,
+        stripeEventId,
+        changedById
+      }
+    })] : [])
+  ]);
+
+  return updated;
+}
+
+module.exports = {
+  PLANS,
+  PLAN_IDS,
+  PLAN_LIMITS,
+  TRIAL_DAYS,
+  ENTITLEMENTS,
+  CREDIT_PACKS,
+  planForPrice,
+  transitionReason,
+  effectivePlan,
+  getEntitlements,
+  plansWith,
+  describePlanFeatures,
+  requireEntitlement,
+  buildPlanUpdate,
+  applyPlanChange
+};
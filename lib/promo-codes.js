@@ -0,0 +1,73 @@
+// lib/promo-codes.js - Our own promotion codes, for partner launches
+//
+// A code can replace the plan's trial length, apply a Stripe coupon at Checkout, or both.
+// It is checked when the Checkout session is created and redeemed when checkout.session.completed
+// arrives, so abandoned sessions do not use up redemptions.
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+// Plans a code applies to, or null for every paid plan
+const promoPlans = (promo) => (promo.plans ? JSON.parse(promo.plans) : null);
+
+/**
+ * Find a code the user may apply to planId. Returns { promo }, or { reason } when it cannot
+ * be used: not_found (unknown or deactivated), expired, exhausted, wrong_plan or already_used.
+ */
+async function findRedeemablePromo(prisma, code, { planId, userId, now = new Date() }) {
+  const promo = await prisma.promoCode.findUnique({
+    where: { code: normalizePromoCode(code) }
+  });
+
+  if (!promo || !promo.isActive) return { reason: 'not_found' };
+  if (promo.expiresAt && promo.expiresAt <= now) return { reason: 'expired' };
+  if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) return { reason: 'exhausted' };
+
+  const plans = promoPlans(promo);
+  if (plans && !plans.includes(planId)) return { reason: 'wrong_plan' };
+
+  const used = await prisma.promoRedemption.findUnique({
+    where: { promoCodeId_userId: { promoCodeId: promo.id, userId } }
+  });
+  if (used) return { reason: 'already_used' };
+
+  return { promo };
+}
+
+/**
+ * Record the code used in a completed Checkout. A replayed webhook finds the redemption of
+ * its session; a second session of the same user with the same code is not counted again.
+ */
+async function redeemPromo(prisma, { promoCodeId, userId, planId, stripeSessionId }) {
+  const existing = await prisma.promoRedemption.findUnique({ where: { stripeSessionId } });
+  if (existing) return existing;
+
+  try {
+    const [redemption] = await prisma.$transaction([
+      prisma.promoRedemption.create({
+        data: { promoCodeId, userId, planId, stripeSessionId }
+      }),
+      prisma.promoCode.update({
+        where: { id: promoCodeId },
+        data: { redemptionCount: { increment: 1 } }
+      })
+    ]);
+    return redemption;
+
+  } catch (error) {
+    // P2002: this user already redeemed the code in another session
+    if (error.code !== 'P2002') throw error;
+
+    console.warn(`Promo code ${promoCodeId} already redeemed by ${userId}; session ${stripeSessionId} not counted`);
+    return null;
+  }
+}
+
+module.exports = {
+  PROMO_CODE_PATTERN,
+  normalizePromoCode,
+  promoPlans,
+  findRedeemablePromo,
+  redeemPromo
+};
@@ -0,0 +1,101 @@
+// lib/redaction.js - Mask personal data in review text before it reaches the model or the database
+
+// Health terms masked for the medical business type (EN and RO)
+const HEALTH_TERMS = [
+  'cancer', 'diabetes', 'diabet', 'hiv', 'aids', 'depression', 'depresie', 'anxiety', 'anxietate',
+  'pregnant', 'pregnancy', 'însărcinată', 'sarcină', 'sarcina', 'abortion', 'avort', 'chemotherapy',
+  'chimioterapie', 'tumor', 'tumoare', 'hepatitis', 'hepatită', 'hepatita', 'psychiatric', 'psihiatric',
+  'schizophrenia', 'schizofrenie', 'epilepsy', 'epilepsie', 'infertility', 'infertilitate', 'std', 'boală venerică'
+];
+
+// Luhn check keeps order numbers and dates from being masked as cards
+function isCardNumber(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Applied in order; earlier rules win over later, broader ones
+const RULES = [
+  {
+    type: 'email',
+    pattern: /[\p{L}\d._%+-]+@[\p{L}\d.-]+\.\p{L}{2,}/gu,
+    mask: '[EMAIL]'
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,4})?\b/g,
+    mask: '[IBAN]'
+  },
+  {
+    type: 'card',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    mask: '[CARD]',
+    accept: match => isCardNumber(match.replace(/\D/g, ''))
+  },
+  {
+    // Romanian personal numeric code (CNP)
+    type: 'national_id',
+    pattern: /\b[1-8]\d{12}\b/g,
+    mask: '[NATIONAL_ID]'
+  },
+  {
+    type: 'phone',
+    pattern: /(?:\+|\b00)?\d[\d\s().-]{7,}\d\b/g,
+    mask: '[PHONE]',
+    accept: match => match.replace(/\D/g, '').length >= 9
+  }
+];
+
+const HEALTH_PATTERN = new RegExp(`(?<![\\p{L}])(?:${HEALTH_TERMS.join('|')})(?![\\p{L}])`, 'giu');
+
+/**
+ * Mask personal data. Returns { text, redactions } where redactions counts masks per type.
+ */
+function redactPII(text, { businessType } = {}) {
+  const redactions = {};
+  let result = text || '';
+
+  const apply = (type, pattern, mask, accept = () => true) => {
+    result = result.replace(pattern, match => {
+      if (!accept(match)) return match;
+      redactions[type] = (redactions[type] || 0) + 1;
+      return mask;
+    });
+  };
+
+  for (const rule of RULES) {
+    apply(rule.type, rule.pattern, rule.mask, rule.accept);
+  }
+
+  if (businessType === 'medical') {
+    apply('health', HEALTH_PATTERN, '[HEALTH_INFO]');
+  }
+
+  return { text: result, redactions };
+}
+
+/**
+ * List the personal data in a text without masking it. Returns [{ type, match }]; rules may
+ * overlap here, since callers only look at what was found.
+ */
+function findPII(text) {
+  const found = [];
+
+  for (const rule of RULES) {
+    for (const [match] of (text || '').matchAll(rule.pattern)) {
+      if (!rule.accept || rule.accept(match)) found.push({ type: rule.type, match });
+    }
+  }
+
+  return found;
+}
+
+module.exports = { redactPII, findPII };
@@ -0,0 +1,88 @@
+// lib/response-cache.js - In-memory cache of generated responses for repeated reviews
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = (parseInt(process.env.RESPONSE_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 5000;
+
+// Same review after a reload or copy/paste: ignore case, spacing and Unicode form
+function normalizeReviewText(text) {
+  return (text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Cache key for one generation. Keys start with the user id so entries never
+ * leak between users and can be dropped per user.
+ */
+function buildCacheKey({ userId, reviewText, tone, language, business, template, model }) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify({
+    reviewText: normalizeReviewText(reviewText),
+    tone,
+    language,
+    model,
+    business,
+    template: template ? { id: template.id, version: template.updatedAt || null } : null
+  })).digest('hex');
+
+  return `${userId}:${digest}`;
+}
+
+function createResponseCache({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Map keeps insertion order, so the first key is always the least recently used
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    // Drop everything cached for a user (profile or template changed)
+    invalidateUser(userId) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(`${userId}:`)) {
+          entries.delete(key);
+        }
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+const responseCache = createResponseCache();
+
+module.exports = {
+  responseCache,
+  createResponseCache,
+  buildCacheKey,
+  normalizeReviewText
+};
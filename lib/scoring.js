@@ -0,0 +1,89 @@
+// lib/scoring.js - Heuristic ranking of generated response candidates
+
+// Common words that say nothing about what a review is about
+const STOPWORDS = new Set([
+  'this', 'that', 'with', 'have', 'were', 'they', 'them', 'their', 'there', 'what', 'when',
+  'very', 'just', 'from', 'your', 'been', 'would', 'could', 'about', 'really', 'which',
+  'also', 'only', 'some', 'will', 'than', 'then', 'into', 'more', 'much', 'even', 'here',
+  'pentru', 'care', 'este', 'sunt', 'foarte', 'dar', 'acest', 'aceasta', 'fost', 'mult'
+]);
+
+function significantWords(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}{4,}/gu) || [];
+  return [...new Set(words.filter(word => !STOPWORDS.has(word)))];
+}
+
+// Words match on a shared stem so "waiter" and "waiters" count as the same point
+function mentions(words, term) {
+  const stem = term.toLowerCase().slice(0, 5);
+  return words.some(word => word.startsWith(stem));
+}
+
+function countWords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Score a candidate response from 0 to 100 and explain the score.
+ * context: { reviewText, wordLimit, keywords, fallback }
+ */
+function scoreCandidate(text, context = {}) {
+  const { reviewText = '', wordLimit = 100, keywords = [], fallback = false } = context;
+  const reasons = [];
+  let score = 0;
+
+  // Length (30 points)
+  const words = countWords(text);
+  if (words <= wordLimit && words >= Math.min(8, wordLimit)) {
+    score += 30;
+    reasons.push(`Length fits the ${wordLimit}-word target (${words} words)`);
+  } else if (words > wordLimit) {
+    score += Math.round(30 * wordLimit / words);
+    reasons.push(`Longer than the ${wordLimit}-word target (${words} words)`);
+  } else {
+    score += 15;
+    reasons.push(`Very short (${words} words)`);
+  }
+
+  // Coverage of what the reviewer wrote about (30 points)
+  const responseWords = significantWords(text);
+  const reviewWords = significantWords(reviewText).slice(0, 8);
+  if (reviewWords.length === 0) {
+    score += 30;
+  } else {
+    const covered = reviewWords.filter(word => mentions(responseWords, word));
+    score += Math.round(30 * covered.length / reviewWords.length);
+    reasons.push(`Mentions ${covered.length} of ${reviewWords.length} points from the review`);
+  }
+
+  // Business keywords (20 points)
+  if (keywords.length === 0) {
+    score += 20;
+  } else {
+    const used = keywords.filter(keyword => significantWords(keyword).some(word => mentions(responseWords, word)));
+    score += used.length > 0 ? 20 : 10;
+    reasons.push(used.length > 0
+      ? `Uses business keywords: ${used.slice(0, 3).join(', ')}`
+      : 'Does not use any business keyword');
+  }
+
+  // Leftover template placeholders (20 points)
+  const leftovers = text.match(/\{\w+\}/g) || [];
+  if (leftovers.length === 0) {
+    score += 20;
+  } else {
+    reasons.push(`Unfilled template placeholders: ${[...new Set(leftovers)].join(', ')}`);
+  }
+
+  if (fallback) {
+    score = Math.min(score, 20);
+    reasons.push('Fallback reply, not tailored to the review');
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+module.exports = {
+  scoreCandidate,
+  countWords
+};
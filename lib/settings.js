@@ -0,0 +1,258 @@
+// lib/settings.js - Runtime configuration stored in SystemSetting, with typed defaults
+//
+// Each setting is one SystemSetting row whose value is JSON. Rows that are missing or no
+// longer match the schema fall back to the default, so a bad row never takes the API down.
+// Values are cached per process; other instances pick up changes within CACHE_TTL_MS.
+
+const { PLAN_LIMITS, TRIAL_DAYS } = require('./plans');
+const { RESPONSE_LENGTH_LIMITS } = require('./business');
+const { DEFAULT_SYSTEM_PROMPT } = require('./prompt');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+const SETTINGS_SCHEMA = {
+  maintenanceMode: {
+    type: 'boolean',
+    default: false,
+    description: 'Reject new generations with 503 MAINTENANCE_MODE; admins are not affected'
+  },
+  maintenanceMessage: {
+    type: 'string',
+    maxLength: 500,
+    default: 'ZedZen is undergoing maintenance. Please try again in a few minutes.',
+    description: 'Message returned to the extension while maintenance mode is on'
+  },
+  defaultModel: {
+    type: 'string',
+    maxLength: 100,
+    nullable: true,
+    default: null,
+    description: 'Model for plans without LLM_MODEL_<PLAN>; null keeps LLM_MODEL or the provider default'
+  },
+  temperature: {
+    type: 'number',
+    min: 0,
+    max: 2,
+    default: 0.7,
+    description: 'Sampling temperature for generated replies'
+  },
+  maxTokens: {
+    type: 'object',
+    properties: mapValues(RESPONSE_LENGTH_LIMITS, () => ({ type: 'integer', min: 50, max: 2000 })),
+    default: mapValues(RESPONSE_LENGTH_LIMITS, limits => limits.maxTokens),
+    description: 'max_tokens per BusinessProfile.responseLength'
+  },
+  systemPrompt: {
+    type: 'string',
+    maxLength: 4000,
+    default: DEFAULT_SYSTEM_PROMPT,
+    description: 'System message for reply generation; the prompt-injection guard is always appended'
+  },
+  planLimits: {
+    type: 'object',
+    properties: mapValues(PLAN_LIMITS, () => ({ type: 'integer', min: -1, max: 1000000 })),
+    default: { ...PLAN_LIMITS },
+    description: 'Monthly requests given on sign-up and plan changes (-1 = unlimited); existing users keep their limit'
+  },
+  trialDays: {
+    type: 'object',
+    properties: mapValues(TRIAL_DAYS, () => ({ type: 'integer', min: 0, max: 90 })),
+    default: { ...TRIAL_DAYS },
+    description: 'Free trial length per paid plan on a first subscription (0 = no trial); promo codes may override it'
+  }
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+class SettingsValidationError extends Error {
+  constructor(details) {
+    super('Invalid settings');
+    this.name = 'SettingsValidationError';
+    this.details = details;
+  }
+}
+
+// Returns an error message, or null when the value matches the schema
+function checkValue(schema, value, path) {
+  if (value === null) {
+    return schema.nullable ? null : `${path} cannot be null`;
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (value.trim().length === 0) return `${path} cannot be empty`;
+      if (schema.maxLength && value.length > schema.maxLength) return `${path} must be at most ${schema.maxLength} characters`;
+      return null;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (schema.type === 'integer' && !Number.isInteger(value)) return `${path} must be an integer`;
+      if (value < schema.min || value > schema.max) return `${path} must be between ${schema.min} and ${schema.max}`;
+      return null;
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+
+      const unknown = Object.keys(value).find(key => !schema.properties[key]);
+      if (unknown) return `${path}.${unknown} is not a known key`;
+
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        if (!(key in value)) return `${path}.${key} is required`;
+        const error = checkValue(propertySchema, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    default:
+      return `${path} has an unsupported type`;
+  }
+}
+
+function validateSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    return `${key} is not a known setting`;
+  }
+  return checkValue(schema, value, key);
+}
+
+// Object settings may be updated partially; missing keys keep their current value
+function mergeSetting(key, current, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (schema?.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    return { ...current, ...value };
+  }
+  return value;
+}
+
+function defaults() {
+  return mapValues(SETTINGS_SCHEMA, schema => structuredClone(schema.default));
+}
+
+function parseRows(rows) {
+  const values = defaults();
+
+  for (const row of rows) {
+    if (!SETTINGS_SCHEMA[row.key]) continue;
+
+    let value;
+    try {
+      value = JSON.parse(row.value);
+    } catch (error) {
+      console.warn(`Setting ${row.key} is not valid JSON, using the default`);
+      continue;
+    }
+
+    const problem = validateSetting(row.key, value);
+    if (problem) {
+      console.warn(`Setting ${row.key} ignored: ${problem}`);
+      continue;
+    }
+    values[row.key] = value;
+  }
+
+  return values;
+}
+
+let cache = null;
+
+/**
+ * Every setting, stored value or default. Never throws: if the database cannot be read,
+ * the last known values (or the defaults) are used.
+ */
+async function getSettings(prisma) {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.values;
+  }
+
+  try {
+    const rows = await prisma.systemSetting.findMany({
+      where: { key: { in: SETTING_KEYS } }
+    });
+    cache = { values: parseRows(rows), rows, expiresAt: Date.now() + CACHE_TTL_MS };
+
+  } catch (error) {
+    console.error('Settings load error:', error);
+    cache = { values: cache?.values || defaults(), rows: cache?.rows || [], expiresAt: Date.now() + CACHE_TTL_MS };
+  }
+
+  return cache.values;
+}
+
+// Settings with their schema, default and last update, for the admin API
+async function describeSettings(prisma) {
+  const values = await getSettings(prisma);
+  const updatedAt = Object.fromEntries(cache.rows.map(row => [row.key, row.updatedAt]));
+
+  return SETTING_KEYS.map(key => {
+    const { default: defaultValue, description, ...schema } = SETTINGS_SCHEMA[key];
+    return {
+      key,
+      value: values[key],
+      default: defaultValue,
+      isDefault: JSON.stringify(values[key]) === JSON.stringify(defaultValue),
+      description,
+      schema,
+      updatedAt: updatedAt[key] || null
+    };
+  });
+}
+
+/**
+ * Validate and store several settings at once; nothing is written if any value is invalid.
+ * A null value for a non-nullable setting is rejected; use resetSetting to go back to the default.
+ */
+async function updateSettings(prisma, changes) {
+  const current = await getSettings(prisma);
+  const merged = {};
+  const details = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = mergeSetting(key, current[key], value);
+    const problem = validateSetting(key, merged[key]);
+    if (problem) details.push({ key, error: problem });
+  }
+
+  if (details.length > 0) {
+    throw new SettingsValidationError(details);
+  }
+
+  await prisma.$transaction(Object.entries(merged).map(([key, value]) => prisma.systemSetting.upsert({
+    where: { key },
+    update: { value: JSON.stringify(value) },
+    create: { key, value: JSON.stringify(value) }
+  })));
+
+  invalidateSettings();
+  return getSettings(prisma);
+}
+
+async function resetSetting(prisma, key) {
+  await prisma.systemSetting.deleteMany({ where: { key } });
+  invalidateSettings();
+  return getSettings(prisma);
+}
+
+function invalidateSettings() {
+  cache = null;
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  SETTING_KEYS,
+  SettingsValidationError,
+  validateSetting,
+  getSettings,
+  describeSettings,
+  updateSettings,
+  resetSetting,
+  invalidateSettings
+};
@@ -0,0 +1,324 @@
+// lib/stripe-webhooks.js - Verify, log and process Stripe webhook events exactly once
+//
+// Every verified event is stored in StripeEvent before it is handled. The event id is the
+// primary key, so a redelivery finds the existing row instead of running the handler again.
+// Failed events are retried with backoff from the log; admins can replay any stored event.
+
+const { buildPlanUpdate, applyPlanChange, planForPrice } = require('./plans');
+const { getSettings } = require('./settings');
+const { grantCredits } = require('./credits');
+const { redeemPromo } = require('./promo-codes');
+const { settleTrial } = require('./trials');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+// A row left in "processing" this long belongs to a process that died mid-handler
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+// Pending rows younger than this are still being handled by the request that stored them
+const PENDING_GRACE_MS = 60 * 1000;
+const RETRY_BATCH_SIZE = 20;
+
+// Stripe sends either the id or the expanded object
+const stripeId = (value) => (typeof value === 'string' ? value : value?.id || null);
+
+function findUserByCustomer(prisma, customer) {
+  const customerId = stripeId(customer);
+  return customerId ? prisma.user.findFirst({ where: { stripeCustomerId: customerId } }) : null;
+}
+
+const periodEnd = (subscription) => new Date(subscription.current_period_end * 1000);
+
+// Trial end from Stripe while the subscription is trialing; the user keeps it afterwards
+const trialFields = (subscription) => (subscription.status === 'trialing' && subscription.trial_end
+  ? { trialEndsAt: new Date(subscription.trial_end * 1000) }
+  : {});
+
+// Plan of a subscription, from the price of its first item
+const subscriptionPlan = (subscription) => planForPrice(subscription.items?.data?.[0]?.price?.id);
+
+// Plan changes go through applyPlanChange, so monthlyLimit follows the plan and the
+// transition lands in SubscriptionHistory with the event that caused it
+async function changePlan(context, user, { plan, reason, data = {} }) {
+  const { planLimits } = await getSettings(context.prisma);
+
+  return applyPlanChange(context.prisma, user, {
+    ...(plan ? buildPlanUpdate(user, { plan }, planLimits) : {}),
+    ...data
+  }, {
+    reason,
+    source: 'stripe',
+    stripeEventId: context.event.id
+  });
+}
+
+// Credit pack bought with a one-time Checkout payment; the session id makes the grant unique
+async function completeCreditPurchase({ prisma }, session) {
+  const { userId, packId } = session.metadata;
+
+  // Card payments are settled when the session completes; nothing to grant otherwise
+  if (session.payment_status !== 'paid') return;
+
+  await prisma.$transaction(tx => grantCredits(tx, userId, packId, { reference: session.id }));
+}
+
+// Handlers set absolute state taken from Stripe, so running one twice (replay) is harmless
+const EVENT_HANDLERS = {
+  async 'checkout.session.completed'(context, session) {
+    if (session.mode === 'payment') {
+      return completeCreditPurchase(context, session);
+    }
+
+    const { userId, planId, promoCodeId } = session.metadata;
+    const subscription = await context.stripe.subscriptions.retrieve(stripeId(session.subscription));
+    const user = await context.prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error(`Checkout for unknown user ${userId}`);
+    }
+
+    await changePlan(context, user, {
+      plan: planId,
+      reason: 'checkout',
+      data: {
+        subscriptionStatus: subscription.status === 'trialing' ? 'trialing' : 'active',
+        subscriptionExpiresAt: periodEnd(subscription),
+        stripeSubscriptionId: subscription.id,
+        ...trialFields(subscription)
+      }
+    });
+
+    if (promoCodeId) {
+      await redeemPromo(context.prisma, { promoCodeId, userId, planId, stripeSessionId: session.id });
+    }
+  },
+
+  async 'invoice.payment_succeeded'({ prisma, stripe }, invoice) {
+    if (!invoice.subscription) return;
+
+    const subscription = await stripe.subscriptions.retrieve(stripeId(invoice.subscription));
+    const user = await findUserByCustomer(prisma, subscription.customer);
+    if (!user) return;
+
+    // A trial starts with a $0 invoice, so the status comes from the subscription, not the payment.
+    // The first invoice that charges the card settles the trial.
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        subscriptionStatus: subscription.status,
+        subscriptionExpiresAt: periodEnd(subscription),
+        ...trialFields(subscription),
+        ...(invoice.amount_paid > 0 && settleTrial(user))
+      }
+    });
+  },
+
+  async 'invoice.payment_failed'({ prisma }, invoice) {
+    if (!invoice.subscription) return;
+
+    const user = await findUserByCustomer(prisma, invoice.customer);
+    if (!user) return;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { subscriptionStatus: 'past_due' }
+    });
+  },
+
+  // Upgrades and downgrades arrive as a new price on the subscription
+  async 'customer.subscription.updated'(context, subscription) {
+    const user = await findUserByCustomer(context.prisma, subscription.customer);
+    if (!user) return;
+
+    // Same plan (renewal, cancellation flag): keep the limit, it may be an admin override
+    const plan = subscriptionPlan(subscription);
+    const planChanged = plan && plan !== user.subscriptionPlan;
+
+    await changePlan(context, user, {
+      plan: planChanged ? plan : null,
+      data: {
+        subscriptionStatus: subscription.cancel_at_period_end ? 'cancelled' : subscription.status,
+        subscriptionExpiresAt: periodEnd(subscription),
+        ...trialFields(subscription),
+        // A scheduled downgrade is done once the plan changes, or gone with its schedule
+        ...((planChanged || !subscription.schedule) && { scheduledPlan: null, scheduledPlanAt: null })
+      }
+    });
+  },
+
+  async 'customer.subscription.deleted'(context, subscription) {
+    const user = await findUserByCustomer(context.prisma, subscription.customer);
+    if (!user) return;
+
+    await changePlan(context, user, {
+      plan: 'free',
+      reason: 'cancellation',
+      data: {
+        subscriptionStatus: 'cancelled',
+        subscriptionExpiresAt: new Date(),
+        stripeSubscriptionId: null,
+        scheduledPlan: null,
+        scheduledPlanAt: null
+      }
+    });
+  }
+};
+
+function retryDelayMs(attempts) {
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Store a verified event. Returns { event, duplicate }; duplicate is true when the
+ * event id was already logged (a redelivery), in which case event is the stored row.
+ */
+async function recordStripeEvent(prisma, event) {
+  try {
+    const row = await prisma.stripeEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+        payload: JSON.stringify(event),
+        livemode: Boolean(event.livemode),
+        stripeCreatedAt: new Date(event.created * 1000)
+      }
+    });
+    return { event: row, duplicate: false };
+
+  } catch (error) {
+    // P2002: unique constraint, the id is already in the log
+    if (error.code !== 'P2002') throw error;
+
+    const row = await prisma.stripeEvent.findUnique({ where: { id: event.id } });
+    return { event: row, duplicate: true };
+  }
+}
+
+/**
+ * Run the handler for a stored event. The status change to "processing" is a conditional
+ * update, so concurrent deliveries and the retry loop cannot run the same event twice.
+ * force (admin replay) also re-runs events that were already processed.
+ * Never throws for handler errors; they are recorded on the row and retried later.
+ */
+async function processStripeEvent(prisma, stripe, eventId, { force = false } = {}) {
+  const claimable = force ? ['pending', 'failed', 'processed', 'ignored'] : ['pending', 'failed'];
+  const claimed = await prisma.stripeEvent.updateMany({
+    where: { id: eventId, status: { in: claimable } },
+    data: {
+      status: 'processing',
+      attempts: { increment: 1 },
+      nextAttemptAt: null
+    }
+  });
+
+  const row = await prisma.stripeEvent.findUnique({ where: { id: eventId } });
+  if (claimed.count === 0) {
+    return row;
+  }
+
+  const event = JSON.parse(row.payload);
+  const handler = EVENT_HANDLERS[event.type];
+
+  try {
+    if (handler) {
+      await handler({ prisma, stripe, event }, event.data.object);
+    }
+
+    return await prisma.stripeEvent.update({
+      where: { id: eventId },
+      data: {
+        status: handler ? 'processed' : 'ignored',
+        processedAt: new Date(),
+        lastError: null
+      }
+    });
+
+  } catch (error) {
+    console.error(`Stripe event ${eventId} (${event.type}) failed, attempt ${row.attempts}:`, error);
+
+    return prisma.stripeEvent.update({
+      where: { id: eventId },
+      data: {
+        status: 'failed',
+        lastError: String(error.message || error).slice(0, 1000),
+        nextAttemptAt: row.attempts < MAX_ATTEMPTS ? new Date(Date.now() + retryDelayMs(row.attempts)) : null
+      }
+    });
+  }
+}
+
+// Process failed events whose retry time has come, plus rows abandoned by a crashed process
+async function retryStripeEvents(prisma, stripe, now = new Date()) {
+  const due = await prisma.stripeEvent.findMany({
+    where: {
+      OR: [
+        { status: 'failed', nextAttemptAt: { lte: now } },
+        { status: 'pending', createdAt: { lte: new Date(now.getTime() - PENDING_GRACE_MS) } },
+        { status: 'processing', updatedAt: { lte: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: RETRY_BATCH_SIZE
+  });
+
+  const results = [];
+  for (const row of due) {
+    if (row.status === 'processing') {
+      // Hand the abandoned row back to the normal claim, unless it was touched meanwhile
+      await prisma.stripeEvent.updateMany({
+        where: { id: row.id, status: 'processing', updatedAt: row.updatedAt },
+        data: { status: 'failed' }
+      });
+    }
+    results.push(await processStripeEvent(prisma, stripe, row.id));
+  }
+
+  return results;
+}
+
+/**
+ * Express handler for POST /webhook. Needs the raw request body (express.raw mounted
+ * before express.json), since the signature covers the exact bytes Stripe sent.
+ * Answers 2xx once the event is logged: handler failures are retried from the log,
+ * so Stripe only redelivers what we could not store.
+ */
+function createWebhookHandler({ prisma, stripe, secret }) {
+  return async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      console.error('Stripe webhook got a parsed body; mount express.raw() for it before express.json()');
+      return res.status(500).json({ error: 'Webhook misconfigured' });
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], secret);
+    } catch (err) {
+      console.log('Webhook signature verification failed:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      const { event: stored, duplicate } = await recordStripeEvent(prisma, event);
+
+      if (duplicate && !['pending', 'failed'].includes(stored.status)) {
+        return res.json({ received: true, duplicate: true, status: stored.status });
+      }
+
+      const result = await processStripeEvent(prisma, stripe, event.id);
+      res.json({ received: true, duplicate, status: result.status });
+
+    } catch (error) {
+      console.error('Webhook processing error:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  };
+}
+
+module.exports = {
+  EVENT_HANDLERS,
+  MAX_ATTEMPTS,
+  recordStripeEvent,
+  processStripeEvent,
+  retryStripeEvents,
+  createWebhookHandler
+};
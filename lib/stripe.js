@@ -0,0 +1,5 @@
+// lib/stripe.js - Stripe client shared by the subscription and admin routes
+
+const Stripe = require('stripe');
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY);
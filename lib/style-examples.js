@@ -0,0 +1,55 @@
+// lib/style-examples.js - Pick the user's own posted replies as few-shot examples for new prompts
+
+const STYLE_EXAMPLE_LIMIT = 3;
+const STYLE_EXAMPLE_POOL = 30;
+
+/**
+ * Recent replies the user posted and did not rate down: rated up, or edited before posting.
+ * Reviews come back already redacted, as stored on ApiCall.
+ */
+async function loadStyleExamples(prisma, userId) {
+  return prisma.apiCall.findMany({
+    where: {
+      userId,
+      finalText: { not: null },
+      OR: [
+        { rating: 'up' },
+        { rating: null, edited: true }
+      ]
+    },
+    orderBy: { feedbackAt: 'desc' },
+    take: STYLE_EXAMPLE_POOL,
+    select: {
+      id: true,
+      reviewText: true,
+      finalText: true,
+      language: true,
+      tone: true,
+      rating: true,
+      edited: true
+    }
+  });
+}
+
+// Thumbs up beats a plain edit; same language matters more than same tone
+function exampleScore(example, { language, tone }) {
+  return (example.rating === 'up' ? 2 : 0) +
+    (example.edited ? 1 : 0) +
+    (example.language === language ? 4 : 0) +
+    (example.tone === tone ? 1 : 0);
+}
+
+function selectStyleExamples(examples, { language, tone, limit = STYLE_EXAMPLE_LIMIT }) {
+  return examples
+    .map((example, index) => ({ example, index, score: exampleScore(example, { language, tone }) }))
+    // Stable on ties, so more recent feedback wins
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ example }) => example);
+}
+
+module.exports = {
+  loadStyleExamples,
+  selectStyleExamples,
+  STYLE_EXAMPLE_LIMIT
+};
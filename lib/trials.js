@@ -0,0 +1,79 @@
+// lib/trials.js - Free trials on paid plans
+//
+// A user's first subscription starts with a trial (trialDays setting, or the length of a
+// promo code). Stripe runs the trial and charges the card at its end; the webhooks mirror
+// its "trialing" status. expireTrials is the safety net for trials that ran out without
+// converting (no webhook arrived, or the first charge failed and left the account past_due):
+// they drop to the free plan on their own. A trial is settled by its first paid invoice or
+// by a plan set by hand; from then on the billing webhooks and dunning own the account.
+
+const { buildPlanUpdate, applyPlanChange } = require('./plans');
+const { getSettings } = require('./settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Time Stripe gets to charge the card and deliver the webhooks after a trial ends
+const TRIAL_GRACE_MS = DAY_MS;
+const EXPIRY_BATCH_SIZE = 100;
+
+// trialEndsAt is never cleared, so it also marks a trial as used
+const isTrialEligible = (user) => !user.trialEndsAt;
+
+function trialDaysFor(user, planId, settings, promo = null) {
+  if (!isTrialEligible(user)) return 0;
+  return promo?.trialDays ?? settings.trialDays[planId] ?? 0;
+}
+
+// Fields that settle a still open trial (first paid invoice, plan set by an admin)
+const settleTrial = (user, now = new Date()) => (user.trialEndsAt && !user.trialSettledAt
+  ? { trialSettledAt: now }
+  : {});
+
+// Trial details for API responses, or null when the user is not trialing
+function describeTrial(user, now = new Date()) {
+  if (user.subscriptionStatus !== 'trialing' || !user.trialEndsAt) return null;
+
+  return {
+    endsAt: user.trialEndsAt,
+    daysLeft: Math.max(0, Math.ceil((user.trialEndsAt - now) / DAY_MS))
+  };
+}
+
+// Move trials that ended more than TRIAL_GRACE_MS ago and are still open to the free plan:
+// still trialing (no webhook arrived) or past_due after a failed first charge. Settled trials
+// are left alone, so a renewal that fails later goes through dunning, not this sweep.
+async function expireTrials(prisma, now = new Date()) {
+  const lapsed = await prisma.user.findMany({
+    where: {
+      subscriptionPlan: { not: 'free' },
+      subscriptionStatus: { in: ['trialing', 'past_due'] },
+      trialEndsAt: { lte: new Date(now.getTime() - TRIAL_GRACE_MS) },
+      trialSettledAt: null
+    },
+    take: EXPIRY_BATCH_SIZE
+  });
+
+  if (lapsed.length === 0) return 0;
+
+  const { planLimits } = await getSettings(prisma);
+
+  for (const user of lapsed) {
+    await applyPlanChange(prisma, user, {
+      ...buildPlanUpdate(user, { plan: 'free' }, planLimits),
+      subscriptionStatus: 'expired'
+    }, {
+      reason: 'trial_expired',
+      source: 'system'
+    });
+    console.log(`Trial of ${user.email} ended on ${user.trialEndsAt.toISOString()} without conversion; moved to free`);
+  }
+
+  return lapsed.length;
+}
+
+module.exports = {
+  isTrialEligible,
+  trialDaysFor,
+  settleTrial,
+  describeTrial,
+  expireTrials
+};
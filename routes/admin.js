@@ -0,0 +1,1091 @@
+// routes/admin.js - Platform administration, restricted to users with role "admin"
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { PLANS, PLAN_IDS, buildPlanUpdate, applyPlanChange } = require('../lib/plans');
+const {
+  SETTINGS_SCHEMA,
+  SettingsValidationError,
+  getSettings,
+  describeSettings,
+  updateSettings,
+  resetSetting
+} = require('../lib/settings');
+const { responseCache } = require('../lib/response-cache');
+const stripe = require('../lib/stripe');
+const { processStripeEvent } = require('../lib/stripe-webhooks');
+const { FEEDBACK_TYPES, FEEDBACK_STATUSES, FEEDBACK_TRANSITIONS, canTransition } = require('../lib/feedback');
+const { PROMO_CODE_PATTERN, normalizePromoCode, promoPlans } = require('../lib/promo-codes');
+const { settleTrial } = require('../lib/trials');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Environment setup
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+
+// Fields an admin may see; the password hash and tokens never leave the server
+const USER_FIELDS = {
+  id: true,
+  email: true,
+  name: true,
+  businessName: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  subscriptionPlan: true,
+  subscriptionStatus: true,
+  subscriptionExpiresAt: true,
+  stripeCustomerId: true,
+  trialEndsAt: true,
+  trialSettledAt: true,
+  monthlyLimit: true,
+  createdAt: true,
+  lastLoginAt: true
+};
+
+// Authentication middleware (token, active account and admin role)
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found or inactive'
+      });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required',
+        code: 'ADMIN_REQUIRED'
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    console.error('Admin auth middleware error:', error);
+    res.status(401).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+};
+
+router.use(authenticateAdmin);
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input',
+      details: errors.array()
+    });
+  }
+
+  next();
+};
+
+const currentPeriod = () => ({
+  month: new Date().getMonth(),
+  year: new Date().getFullYear()
+});
+
+function pagination(page, limit, totalCount) {
+  return {
+    page,
+    limit,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+    hasNext: page * limit < totalCount,
+    hasPrev: page > 1
+  };
+}
+
+async function findUserOr404(req, res) {
+  const user = await prisma.user.findUnique({
+    where: { id: req.params.id },
+    select: USER_FIELDS
+  });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  return user;
+}
+
+// LIST USERS - Search by email, name or business name; filter by plan, role and status
+const listUsersValidation = [
+  query('search').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  query('plan').isIn(PLAN_IDS).optional(),
+  query('role').isIn(['user', 'admin']).optional(),
+  query('status').isIn(['active', 'inactive']).optional(),
+  query('page').isInt({ min: 1 }).toInt().optional(),
+  query('limit').isInt({ min: 1, max: 100 }).toInt().optional()
+];
+
+router.get('/users', listUsersValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { search, plan, role, status } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const where = {};
+    if (plan) where.subscriptionPlan = plan;
+    if (role) where.role = role;
+    if (status) where.isActive = status === 'active';
+    if (search) {
+      where.OR = [
+        { email: { contains: search } },
+        { name: { contains: search } },
+        { businessName: { contains: search } }
+      ];
+    }
+
+    const [users, totalCount] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: (page - 1) * limit,
+        select: {
+          ...USER_FIELDS,
+          usage: {
+            where: currentPeriod()
+          }
+        }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: users.map(({ usage, ...user }) => ({
+        ...user,
+        currentUsage: usage[0]?.requestCount || 0
+      })),
+      pagination: pagination(page, limit, totalCount)
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users'
+    });
+  }
+});
+
+// GET USER - Profile, monthly usage history, plan history and lifetime totals
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const [usage, businessProfile, totals, subscriptionHistory] = await Promise.all([
+      prisma.usage.findMany({
+        where: { userId: user.id },
+        orderBy: [{ year: 'desc' }, { month: 'desc' }]
+      }),
+      prisma.businessProfile.findUnique({
+        where: { userId: user.id }
+      }),
+      prisma.apiCall.aggregate({
+        where: { userId: user.id },
+        _count: { _all: true },
+        _sum: { tokensUsed: true, cost: true }
+      }),
+      prisma.subscriptionHistory.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: 'desc' },
+        take: 50
+      })
+    ]);
+
+    res.json({
+      success: true,
+      user,
+      businessProfile,
+      subscriptionHistory,
+      usage: usage.map(entry => ({
+        month: entry.month,
+        year: entry.year,
+        requests: entry.requestCount
+      })),
+      totals: {
+        apiCalls: totals._count._all,
+        tokens: totals._sum.tokensUsed || 0,
+        cost: (totals._sum.cost || 0).toFixed(6)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user'
+    });
+  }
+});
+
+// USER API CALLS - Newest first, paged
+const apiCallsValidation = [
+  query('page').isInt({ min: 1 }).toInt().optional(),
+  query('limit').isInt({ min: 1, max: 100 }).toInt().optional()
+];
+
+router.get('/users/:id/api-calls', apiCallsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const where = { userId: user.id };
+
+    const [calls, totalCount] = await Promise.all([
+      prisma.apiCall.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: (page - 1) * limit
+      }),
+      prisma.apiCall.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: calls,
+      pagination: pagination(page, limit, totalCount)
+    });
+
+  } catch (error) {
+    console.error('Admin api calls error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get API calls'
+    });
+  }
+});
+
+// CHANGE PLAN - Plan, monthlyLimit and expiry
+const changePlanValidation = [
+  body('plan').isIn(PLAN_IDS).optional(),
+  body('monthlyLimit').isInt({ min: -1 }).toInt().optional(),
+  body('subscriptionExpiresAt').isISO8601().toDate().optional()
+];
+
+router.patch('/users/:id/plan', changePlanValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { plan, monthlyLimit, subscriptionExpiresAt } = req.body;
+
+    if (plan === undefined && monthlyLimit === undefined && subscriptionExpiresAt === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide plan, monthlyLimit or subscriptionExpiresAt'
+      });
+    }
+
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const { planLimits } = await getSettings(prisma);
+    const data = {
+      ...buildPlanUpdate(user, { plan, monthlyLimit, subscriptionExpiresAt }, planLimits),
+      // A plan set by hand is not reverted by the trial expiry sweep
+      ...(plan !== undefined && settleTrial(user))
+    };
+
+    const updated = await applyPlanChange(prisma, user, data, {
+      reason: 'admin_override',
+      source: 'admin',
+      changedById: req.user.id,
+      select: USER_FIELDS
+    });
+
+    console.log(`Admin ${req.user.email} changed plan of ${updated.email}:`, data);
+
+    res.json({
+      success: true,
+      user: updated
+    });
+
+  } catch (error) {
+    console.error('Admin change plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change plan'
+    });
+  }
+});
+
+// RESET USAGE - Current month request count back to zero
+router.post('/users/:id/usage/reset', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const period = currentPeriod();
+    const usage = await prisma.usage.upsert({
+      where: {
+        userId_month_year: {
+          userId: user.id,
+          ...period
+        }
+      },
+      update: { requestCount: 0 },
+      create: {
+        userId: user.id,
+        ...period,
+        requestCount: 0
+      }
+    });
+
+    console.log(`Admin ${req.user.email} reset usage of ${user.email}`);
+
+    res.json({
+      success: true,
+      usage: {
+        month: usage.month,
+        year: usage.year,
+        requests: usage.requestCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin reset usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset usage'
+    });
+  }
+});
+
+// DEACTIVATE / REACTIVATE - Inactive accounts cannot log in or call the API
+const setActive = (isActive) => async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    if (!isActive && user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { isActive },
+      select: USER_FIELDS
+    });
+
+    console.log(`Admin ${req.user.email} ${isActive ? 'reactivated' : 'deactivated'} ${updated.email}`);
+
+    res.json({
+      success: true,
+      user: updated
+    });
+
+  } catch (error) {
+    console.error('Admin set active error:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${isActive ? 'reactivate' : 'deactivate'} user`
+    });
+  }
+};
+
+router.post('/users/:id/deactivate', setActive(false));
+router.post('/users/:id/reactivate', setActive(true));
+
+// PLATFORM STATS - Users per plan, requests and model cost
+router.get('/stats', async (req, res) => {
+  try {
+    const period = currentPeriod();
+    const monthStart = new Date(period.year, period.month, 1);
+
+    const [usersByPlan, inactiveUsers, allTime, thisMonth, billedThisMonth, byModel] = await Promise.all([
+      prisma.user.groupBy({
+        by: ['subscriptionPlan'],
+        _count: { _all: true }
+      }),
+      prisma.user.count({
+        where: { isActive: false }
+      }),
+      prisma.apiCall.aggregate({
+        _count: { _all: true },
+        _sum: { tokensUsed: true, cost: true }
+      }),
+      prisma.apiCall.aggregate({
+        where: { createdAt: { gte: monthStart } },
+        _count: { _all: true },
+        _sum: { tokensUsed: true, cost: true }
+      }),
+      prisma.usage.aggregate({
+        where: period,
+        _sum: { requestCount: true }
+      }),
+      prisma.apiCall.groupBy({
+        by: ['model'],
+        _count: { _all: true },
+        _sum: { tokensUsed: true, cost: true }
+      })
+    ]);
+
+    const plans = Object.fromEntries(PLAN_IDS.map(plan => [plan, 0]));
+    for (const group of usersByPlan) {
+      plans[group.subscriptionPlan] = group._count._all;
+    }
+
+    const summarize = (aggregate) => ({
+      requests: aggregate._count._all,
+      tokens: aggregate._sum.tokensUsed || 0,
+      cost: (aggregate._sum.cost || 0).toFixed(6)
+    });
+
+    res.json({
+      success: true,
+      users: {
+        total: Object.values(plans).reduce((sum, count) => sum + count, 0),
+        inactive: inactiveUsers,
+        byPlan: plans
+      },
+      requests: {
+        allTime: summarize(allTime),
+        thisMonth: {
+          ...summarize(thisMonth),
+          billed: billedThisMonth._sum.requestCount || 0
+        }
+      },
+      byModel: byModel
+        .map(group => ({ model: group.model, ...summarize(group) }))
+        .sort((a, b) => b.requests - a.requests)
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get platform stats'
+    });
+  }
+});
+
+// LIST FEEDBACK - Triage queue, oldest open items first
+const listFeedbackValidation = [
+  query('status').isIn(FEEDBACK_STATUSES).optional(),
+  query('type').isIn(FEEDBACK_TYPES).optional(),
+  query('search').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  query('page').isInt({ min: 1 }).toInt().optional(),
+  query('limit').isInt({ min: 1, max: 100 }).toInt().optional()
+];
+
+router.get('/feedback', listFeedbackValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { status, type, search } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (search) {
+      where.OR = [
+        { subject: { contains: search } },
+        { message: { contains: search } },
+        { email: { contains: search } }
+      ];
+    }
+
+    const [feedback, totalCount, byStatus] = await Promise.all([
+      prisma.feedback.findMany({
+        where,
+        orderBy: { createdAt: status === 'resolved' ? 'desc' : 'asc' },
+        take: limit,
+        skip: (page - 1) * limit,
+        include: {
+          user: {
+            select: { id: true, email: true, name: true, subscriptionPlan: true }
+          }
+        }
+      }),
+      prisma.feedback.count({ where }),
+      prisma.feedback.groupBy({
+        by: ['status'],
+        _count: { _all: true }
+      })
+    ]);
+
+    const counts = Object.fromEntries(FEEDBACK_STATUSES.map(name => [name, 0]));
+    for (const group of byStatus) {
+      counts[group.status] = group._count._all;
+    }
+
+    res.json({
+      success: true,
+      data: feedback,
+      counts,
+      pagination: pagination(page, limit, totalCount)
+    });
+
+  } catch (error) {
+    console.error('Admin list feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list feedback'
+    });
+  }
+});
+
+async function findFeedbackOr404(req, res, include) {
+  const feedback = await prisma.feedback.findUnique({
+    where: { id: req.params.id },
+    include
+  });
+
+  if (!feedback) {
+    res.status(404).json({
+      success: false,
+      error: 'Feedback not found'
+    });
+  }
+
+  return feedback;
+}
+
+// GET FEEDBACK - With the submitting user and the generated response it refers to
+router.get('/feedback/:id', async (req, res) => {
+  try {
+    const feedback = await findFeedbackOr404(req, res, {
+      user: {
+        select: { id: true, email: true, name: true, subscriptionPlan: true }
+      },
+      apiCall: {
+        select: {
+          id: true,
+          reviewText: true,
+          responseText: true,
+          finalText: true,
+          rating: true,
+          ratingReason: true,
+          tone: true,
+          language: true,
+          businessType: true,
+          model: true,
+          success: true,
+          moderationAction: true,
+          createdAt: true
+        }
+      }
+    });
+    if (!feedback) return;
+
+    res.json({
+      success: true,
+      feedback
+    });
+
+  } catch (error) {
+    console.error('Admin get feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get feedback'
+    });
+  }
+});
+
+// Status changes follow FEEDBACK_TRANSITIONS; answers 400 and returns false when not allowed
+function checkTransition(res, feedback, status) {
+  if (status === undefined || status === feedback.status) {
+    return true;
+  }
+
+  if (!canTransition(feedback.status, status)) {
+    res.status(400).json({
+      success: false,
+      error: `Cannot move feedback from ${feedback.status} to ${status}`,
+      code: 'INVALID_TRANSITION',
+      allowed: FEEDBACK_TRANSITIONS[feedback.status] || []
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// CHANGE FEEDBACK STATUS
+const feedbackStatusValidation = [
+  body('status').isIn(FEEDBACK_STATUSES)
+];
+
+router.patch('/feedback/:id/status', feedbackStatusValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const feedback = await findFeedbackOr404(req, res);
+    if (!feedback) return;
+
+    const { status } = req.body;
+    if (!checkTransition(res, feedback, status)) return;
+
+    const updated = await prisma.feedback.update({
+      where: { id: feedback.id },
+      data: { status }
+    });
+
+    console.log(`Admin ${req.user.email} moved feedback ${feedback.id} from ${feedback.status} to ${status}`);
+
+    res.json({
+      success: true,
+      feedback: updated
+    });
+
+  } catch (error) {
+    console.error('Admin feedback status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change feedback status'
+    });
+  }
+});
+
+// REPLY TO FEEDBACK - Replaces any earlier reply; optionally changes the status in the same step
+const feedbackReplyValidation = [
+  body('message').isString().trim().isLength({ min: 1, max: 5000 }),
+  body('status').isIn(FEEDBACK_STATUSES).optional()
+];
+
+router.post('/feedback/:id/reply', feedbackReplyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const feedback = await findFeedbackOr404(req, res);
+    if (!feedback) return;
+
+    const { message, status } = req.body;
+    if (!checkTransition(res, feedback, status)) return;
+
+    const updated = await prisma.feedback.update({
+      where: { id: feedback.id },
+      data: {
+        reply: message,
+        repliedAt: new Date(),
+        repliedById: req.user.id,
+        ...(status && { status })
+      }
+    });
+
+    console.log(`Admin ${req.user.email} replied to feedback ${feedback.id}`);
+
+    res.json({
+      success: true,
+      feedback: updated
+    });
+
+  } catch (error) {
+    console.error('Admin feedback reply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reply to feedback'
+    });
+  }
+});
+
+// Changing these makes cached replies stale
+const GENERATION_SETTINGS = ['defaultModel', 'temperature', 'maxTokens', 'systemPrompt'];
+
+// SETTINGS - Current values with their defaults and schema
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await describeSettings(prisma)
+    });
+
+  } catch (error) {
+    console.error('Admin get settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get settings'
+    });
+  }
+});
+
+// UPDATE SETTINGS - Body is { key: value, ... }; all values are validated before any is saved
+router.patch('/settings', async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    if (typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one setting to change'
+      });
+    }
+
+    const settings = await updateSettings(prisma, changes);
+
+    if (GENERATION_SETTINGS.some(key => key in changes)) {
+      responseCache.clear();
+    }
+
+    console.log(`Admin ${req.user.email} changed settings: ${Object.keys(changes).join(', ')}`);
+
+    res.json({
+      success: true,
+      settings
+    });
+
+  } catch (error) {
+    if (error instanceof SettingsValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_SETTING',
+        details: error.details
+      });
+    }
+
+    console.error('Admin update settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings'
+    });
+  }
+});
+
+// RESET SETTING - Back to the built-in default
+router.delete('/settings/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!SETTINGS_SCHEMA[key]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Setting not found'
+      });
+    }
+
+    const settings = await resetSetting(prisma, key);
+
+    if (GENERATION_SETTINGS.includes(key)) {
+      responseCache.clear();
+    }
+
+    console.log(`Admin ${req.user.email} reset setting ${key}`);
+
+    res.json({
+      success: true,
+      settings
+    });
+
+  } catch (error) {
+    console.error('Admin reset setting error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset setting'
+    });
+  }
+});
+
+// STRIPE EVENTS - Webhook log, newest first; failed events show their last error
+const STRIPE_EVENT_STATUSES = ['pending', 'processing', 'processed', 'ignored', 'failed'];
+
+const listStripeEventsValidation = [
+  query('status').isIn(STRIPE_EVENT_STATUSES).optional(),
+  query('type').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  query('page').isInt({ min: 1 }).toInt().optional(),
+  query('limit').isInt({ min: 1, max: 100 }).toInt().optional()
+];
+
+router.get('/stripe-events', listStripeEventsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const [events, totalCount] = await Promise.all([
+      prisma.stripeEvent.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: (page - 1) * limit,
+        select: {
+          id: true,
+          type: true,
+          livemode: true,
+          status: true,
+          attempts: true,
+          lastError: true,
+          nextAttemptAt: true,
+          processedAt: true,
+          stripeCreatedAt: true,
+          createdAt: true
+        }
+      }),
+      prisma.stripeEvent.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: pagination(page, limit, totalCount)
+    });
+
+  } catch (error) {
+    console.error('Admin list stripe events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list Stripe events'
+    });
+  }
+});
+
+router.get('/stripe-events/:id', async (req, res) => {
+  try {
+    const event = await prisma.stripeEvent.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stripe event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: {
+        ...event,
+        payload: JSON.parse(event.payload)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get stripe event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get Stripe event'
+    });
+  }
+});
+
+// REPLAY STRIPE EVENT - Run the stored event through its handler again, whatever its status
+router.post('/stripe-events/:id/replay', async (req, res) => {
+  try {
+    const existing = await prisma.stripeEvent.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, status: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stripe event not found'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Event is being processed',
+        code: 'EVENT_IN_PROGRESS'
+      });
+    }
+
+    const { payload, ...event } = await processStripeEvent(prisma, stripe, existing.id, { force: true });
+
+    console.log(`Admin ${req.user.email} replayed Stripe event ${event.id}: ${event.status}`);
+
+    if (event.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: `Replay failed: ${event.lastError}`,
+        code: 'REPLAY_FAILED',
+        event
+      });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+
+  } catch (error) {
+    console.error('Admin replay stripe event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay Stripe event'
+    });
+  }
+});
+
+// PROMO CODES - Our own codes for partner launches (Stripe promotion codes are managed in Stripe)
+const PAID_PLAN_IDS = PLAN_IDS.filter(id => PLANS[id].stripePriceId);
+
+const formatPromoCode = (promo) => ({
+  ...promo,
+  plans: promoPlans(promo)
+});
+
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const promoCodes = await prisma.promoCode.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: promoCodes.map(formatPromoCode)
+    });
+
+  } catch (error) {
+    console.error('Admin list promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list promo codes'
+    });
+  }
+});
+
+const createPromoCodeValidation = [
+  body('code').customSanitizer(normalizePromoCode).matches(PROMO_CODE_PATTERN),
+  body('description').isString().trim().isLength({ max: 500 }).optional(),
+  body('plans').isArray({ min: 1 }).optional(),
+  body('plans.*').isIn(PAID_PLAN_IDS),
+  body('trialDays').isInt({ min: 0, max: 365 }).toInt().optional(),
+  body('stripeCouponId').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  body('maxRedemptions').isInt({ min: 1 }).toInt().optional(),
+  body('expiresAt').isISO8601().toDate().optional()
+];
+
+router.post('/promo-codes', createPromoCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { code, description, plans, trialDays, stripeCouponId, maxRedemptions, expiresAt } = req.body;
+
+    // A code that changes nothing at Checkout would only confuse customers
+    if (trialDays === undefined && !stripeCouponId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide trialDays, stripeCouponId or both'
+      });
+    }
+
+    const promo = await prisma.promoCode.create({
+      data: {
+        code,
+        description: description || null,
+        plans: plans ? JSON.stringify(plans) : null,
+        trialDays: trialDays ?? null,
+        stripeCouponId: stripeCouponId || null,
+        maxRedemptions: maxRedemptions ?? null,
+        expiresAt: expiresAt || null,
+        createdById: req.user.id
+      }
+    });
+
+    console.log(`Admin ${req.user.email} created promo code ${promo.code}`);
+
+    res.status(201).json({
+      success: true,
+      promoCode: formatPromoCode(promo)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'A promo code with this code already exists',
+        code: 'PROMO_CODE_EXISTS'
+      });
+    }
+
+    console.error('Admin create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create promo code'
+    });
+  }
+});
+
+// UPDATE PROMO CODE - Deactivate, extend or cap; the code and its effect stay fixed once shared
+const updatePromoCodeValidation = [
+  body('isActive').isBoolean().toBoolean().optional(),
+  body('description').isString().trim().isLength({ max: 500 }).optional(),
+  body('maxRedemptions').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().toDate()
+];
+
+router.patch('/promo-codes/:id', updatePromoCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const data = {};
+    for (const field of ['isActive', 'description', 'maxRedemptions', 'expiresAt']) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide isActive, description, maxRedemptions or expiresAt'
+      });
+    }
+
+    const existing = await prisma.promoCode.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promo code not found'
+      });
+    }
+
+    const promo = await prisma.promoCode.update({
+      where: { id: existing.id },
+      data
+    });
+
+    console.log(`Admin ${req.user.email} updated promo code ${promo.code}:`, data);
+
+    res.json({
+      success: true,
+      promoCode: formatPromoCode(promo)
+    });
+
+  } catch (error) {
+    console.error('Admin update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update promo code'
+    });
+  }
+});
+
+module.exports = router;
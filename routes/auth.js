@@ -5,6 +5,9 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
+const { getSettings } = require('../lib/settings');
+const { getEntitlements } = require('../lib/plans');
+const { describeTrial } = require('../lib/trials');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,14 +18,6 @@ if (!process.env.JWT_SECRET) {
   console.warn('WARNING: JWT_SECRET not set, using fallback key');
 }
 
-// Plan configuration
-const PLAN_LIMITS = {
-  free: 10,
-  basic: 100, 
-  premium: 500,
-  enterprise: -1 // unlimited
-};
-
 // Validation rules
 const registerValidation = [
   body('email')
@@ -71,6 +66,7 @@ router.post('/register', registerValidation, async (req, res) => {
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
+    const { planLimits } = await getSettings(prisma);
 
     // Create user and initial usage record in transaction
     const newUser = await prisma.$transaction(async (tx) => {
@@ -83,7 +79,7 @@ router.post('/register', registerValidation, async (req, res) => {
           businessName: businessName || null,
           subscriptionPlan: 'free',
           subscriptionStatus: 'active',
-          monthlyLimit: PLAN_LIMITS.free,
+          monthlyLimit: planLimits.free,
           isActive: true,
           emailVerified: true, // Skip email verification for freemium
         }
@@ -127,7 +123,7 @@ router.post('/register', registerValidation, async (req, res) => {
       token,
       plan: {
         name: 'Free',
-        limit: PLAN_LIMITS.free,
+        limit: planLimits.free,
         current: 0
       }
     });
@@ -240,7 +236,10 @@ router.post('/login', loginValidation, async (req, res) => {
         limit: user.monthlyLimit,
         remaining: user.monthlyLimit === -1 ? -1 : Math.max(0, user.monthlyLimit - currentUsage),
         resetDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1)
-      }
+      },
+      // Features the extension may offer; the API enforces the same list
+      entitlements: getEntitlements(user),
+      trial: describeTrial(user)
     });
 
   } catch (error) {
@@ -271,14 +270,6 @@ router.post('/verify', async (req, res) => {
     // Find user with current usage
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      include: {
-        usage: {
-          where: {
-            month: new Date().getMonth(),
-            year: new Date().getFullYear()
-          }
-        }
-      },
       select: {
         id: true,
         email: true,
@@ -287,11 +278,18 @@ router.post('/verify', async (req, res) => {
         subscriptionPlan: true,
         subscriptionStatus: true,
         subscriptionExpiresAt: true,
+        trialEndsAt: true,
         monthlyLimit: true,
+        role: true,
         isActive: true,
         emailVerified: true,
         createdAt: true,
-        usage: true
+        usage: {
+          where: {
+            month: new Date().getMonth(),
+            year: new Date().getFullYear()
+          }
+        }
       }
     });
 
@@ -322,7 +320,10 @@ router.post('/verify', async (req, res) => {
         limit: user.monthlyLimit,
         remaining: user.monthlyLimit === -1 ? -1 : Math.max(0, user.monthlyLimit - currentUsage),
         resetDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1)
-      }
+      },
+      entitlements: getEntitlements(user),
+      // { endsAt, daysLeft } while the free trial runs; null otherwise
+      trial: describeTrial(user)
     });
 
   } catch (error) {
@@ -2,6 +2,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const jwt = require('jsonwebtoken');
+const {
+  BUSINESS_TYPES,
+  DEFAULT_TEMPLATES,
+  BRAND_VOICES,
+  RESPONSE_LENGTHS,
+  parseCustomKeywords
+} = require('../lib/business');
+const { responseCache } = require('../lib/response-cache');
+const { requireEntitlement } = require('../lib/plans');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -39,52 +48,6 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Tipurile de business predefinite
-const BUSINESS_TYPES = {
-  restaurant: {
-    name: 'Restaurant/Cafenea',
-    keywords: ['mâncare', 'servire', 'gust', 'atmosferă', 'personal', 'bucătar'],
-    responseStyle: 'warm_hospitality',
-    commonIssues: ['servire lentă', 'mâncare rece', 'zgomot', 'prețuri'],
-    positiveAspects: ['gust', 'porții', 'ambianță', 'personal amabil']
-  },
-  hotel: {
-    name: 'Hotel/Cazare',
-    keywords: ['cameră', 'curățenie', 'personal', 'servicii', 'locație'],
-    responseStyle: 'professional_hospitality',
-    commonIssues: ['cameră murdară', 'zgomot', 'wifi', 'aer condiționat'],
-    positiveAspects: ['curățenie', 'locație', 'personal', 'facilități']
-  },
-  medical: {
-    name: 'Servicii Medicale',
-    keywords: ['doctor', 'tratament', 'personal', 'programare', 'diagnostic'],
-    responseStyle: 'professional_caring',
-    commonIssues: ['timp de așteptare', 'comunicare', 'programări'],
-    positiveAspects: ['profesionalism', 'grijă', 'rezultate', 'explicații']
-  },
-  retail: {
-    name: 'Retail/Magazin',
-    keywords: ['produse', 'personal', 'prețuri', 'calitate', 'disponibilitate'],
-    responseStyle: 'helpful_professional',
-    commonIssues: ['produse indisponibile', 'cozi', 'schimburi', 'prețuri'],
-    positiveAspects: ['varietate', 'calitate', 'prețuri', 'personal util']
-  },
-  beauty: {
-    name: 'Salon/Beauty',
-    keywords: ['servicii', 'personal', 'rezultat', 'programare', 'prețuri'],
-    responseStyle: 'personal_caring',
-    commonIssues: ['rezultat nesatisfăcător', 'întârzieri', 'programări'],
-    positiveAspects: ['rezultat', 'profesionalism', 'ambianță', 'experiență']
-  },
-  automotive: {
-    name: 'Service Auto',
-    keywords: ['reparație', 'personal', 'prețuri', 'timp', 'calitate'],
-    responseStyle: 'technical_professional',
-    commonIssues: ['prețuri mari', 'timp lung', 'explicații neclare'],
-    positiveAspects: ['rapiditate', 'calitate', 'personal', 'prețuri corecte']
-  }
-};
-
 // Obținerea tipurilor de business disponibile
 router.get('/types', (req, res) => {
   const businessTypes = Object.entries(BUSINESS_TYPES).map(([key, type]) => ({
@@ -116,11 +79,11 @@ const businessProfileValidation = [
     .withMessage('Descrierea nu poate depăși 500 caractere'),
   body('brandVoice')
     .optional()
-    .isIn(['formal', 'casual', 'friendly', 'professional', 'luxury'])
+    .isIn(BRAND_VOICES)
     .withMessage('Vocea brandului nu este validă'),
   body('responseLength')
     .optional()
-    .isIn(['short', 'medium', 'long'])
+    .isIn(RESPONSE_LENGTHS)
     .withMessage('Lungimea răspunsului nu este validă'),
   body('specialInstructions')
     .optional()
@@ -185,11 +148,14 @@ router.post('/profile',
         });
       }
 
+      // Răspunsurile din cache au fost generate cu profilul vechi
+      responseCache.invalidateUser(userId);
+
       res.json({
         message: 'Profilul de business a fost salvat cu succes',
         profile: {
           ...profile,
-          customKeywords: JSON.parse(profile.customKeywords || '[]'),
+          customKeywords: parseCustomKeywords(profile.customKeywords),
           businessTypeInfo: BUSINESS_TYPES[profile.businessType]
         }
       });
@@ -220,7 +186,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     res.json({
       profile: {
         ...profile,
-        customKeywords: JSON.parse(profile.customKeywords || '[]'),
+        customKeywords: parseCustomKeywords(profile.customKeywords),
         businessTypeInfo: BUSINESS_TYPES[profile.businessType]
       }
     });
@@ -233,35 +199,6 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Template-uri predefinite
-const DEFAULT_TEMPLATES = {
-  positive_grateful: {
-    name: 'Pozitiv - Recunoscător',
-    category: 'positive',
-    template: `Vă mulțumim din suflet pentru feedback-ul pozitiv și pentru că ați ales {businessName}! Suntem foarte bucuroși să aflăm că {specificMention}. Echipa noastră se străduiește mereu să ofere {positiveAspect} și să creeze experiențe memorabile. Vă așteptăm cu drag să ne vizitați din nou!`
-  },
-  positive_professional: {
-    name: 'Pozitiv - Profesional',
-    category: 'positive',
-    template: `Mulțumim pentru review-ul pozitiv! Feedback-ul dumneavoastră confirmă angajamentul nostru pentru {positiveAspect}. Suntem mândri că {specificMention} și continuăm să îmbunătățim serviciile pentru clienții noștri fideli. Vă mulțumim că ați ales {businessName}!`
-  },
-  negative_apologetic: {
-    name: 'Negativ - Scuze Sincere',
-    category: 'negative',
-    template: `Îmi pare foarte rău pentru experiența neplăcută pe care ați avut-o la {businessName}. Înțeleg frustrarea dumneavoastră legată de {specificIssue} și vreau să știți că luăm acest feedback foarte în serios. {actionPlan} Vă rugăm să ne contactați direct la {contactMethod} pentru a rezolva această situație. Mulțumim pentru răbdare și pentru că ne-ați oferit șansa să ne îmbunătățim.`
-  },
-  negative_solution_focused: {
-    name: 'Negativ - Soluții Concrete',
-    category: 'negative',
-    template: `Vă mulțumim pentru feedback și ne pare rău că nu am reușit să vă oferim experiența așteptată. Pentru {specificIssue}, am luat deja următoarele măsuri: {solutionSteps}. Vă invit să ne dați o nouă șansă și să experimentați îmbunătățirile pe care le-am implementat. Contactați-ne la {contactMethod} pentru mai multe detalii.`
-  },
-  neutral_engaging: {
-    name: 'Neutru - Angajant',
-    category: 'neutral',
-    template: `Mulțumim pentru timpul acordat să ne evaluați serviciile! Feedback-ul dumneavoastră ne ajută să înțelegem mai bine experiența clienților noștri. {specificResponse} Suntem mereu deschiși la sugestii pentru îmbunătățire și vă încurajăm să ne contactați direct la {contactMethod} cu orice întrebări sau recomandări.`
-  }
-};
-
 // Validări pentru template
 const templateValidation = [
   body('name')
@@ -327,9 +264,16 @@ router.get('/templates', authenticateToken, async (req, res) => {
   }
 });
 
+// Numărul de template-uri custom este limitat de plan (templates_max)
+const checkTemplateLimit = requireEntitlement('templates_max', {
+  count: (req) => prisma.responseTemplate.count({ where: { userId: req.user.id } }),
+  message: 'Ai atins numărul maxim de template-uri personalizate pentru planul tău'
+});
+
 // Crearea unui template custom
 router.post('/templates',
   authenticateToken,
+  checkTemplateLimit,
   templateValidation,
   async (req, res) => {
     try {
@@ -408,6 +352,8 @@ router.put('/templates/:id',
         }
       });
 
+      responseCache.invalidateUser(req.user.id);
+
       res.json({
         message: 'Template actualizat cu succes',
         template: updatedTemplate
@@ -445,6 +391,8 @@ router.delete('/templates/:id', authenticateToken, async (req, res) => {
       where: { id }
     });
 
+    responseCache.invalidateUser(req.user.id);
+
     res.json({
       message: 'Template șters cu succes'
     });
@@ -0,0 +1,187 @@
+// routes/feedback.js - Feedback from the extension, anonymous or signed in
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { FEEDBACK_TYPES } = require('../lib/feedback');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Environment setup
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+
+// Attach req.user when a token is sent; no token means anonymous feedback
+const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found or inactive'
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+};
+
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  next();
+};
+
+// Separate from the global limiter: a few submissions per hour per account, or per IP when anonymous
+const feedbackLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.FEEDBACK_RATE_LIMIT) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : req.ip),
+  message: {
+    success: false,
+    error: 'Too many feedback submissions, please try again later',
+    code: 'RATE_LIMITED'
+  }
+});
+
+const feedbackValidation = [
+  body('email').isEmail().normalizeEmail().optional(),
+  body('subject').isString().trim().isLength({ min: 3, max: 200 }),
+  body('message').isString().trim().isLength({ min: 10, max: 5000 }),
+  body('type').isIn(FEEDBACK_TYPES).optional(),
+  body('apiCallId').isString().trim().isLength({ min: 1, max: 100 }).optional()
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input',
+      details: errors.array()
+    });
+  }
+
+  next();
+};
+
+// SUBMIT FEEDBACK
+router.post('/', optionalAuth, feedbackLimiter, feedbackValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, subject, message, type = 'general', apiCallId } = req.body;
+    const user = req.user;
+
+    // Responses are private, so only their owner can attach one
+    if (apiCallId) {
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Sign in to send feedback about a generated response'
+        });
+      }
+
+      const apiCall = await prisma.apiCall.findFirst({
+        where: { id: apiCallId, userId: user.id },
+        select: { id: true }
+      });
+
+      if (!apiCall) {
+        return res.status(404).json({
+          success: false,
+          error: 'Response not found'
+        });
+      }
+    }
+
+    const feedback = await prisma.feedback.create({
+      data: {
+        userId: user?.id || null,
+        apiCallId: apiCallId || null,
+        email: email || user?.email || null,
+        subject,
+        message,
+        type: apiCallId && type === 'general' ? 'response_quality' : type
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      feedback: {
+        id: feedback.id,
+        type: feedback.type,
+        status: feedback.status,
+        createdAt: feedback.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit feedback'
+    });
+  }
+});
+
+// MY FEEDBACK - Status and replies for the signed-in user
+router.get('/mine', optionalAuth, requireUser, async (req, res) => {
+  try {
+    const feedback = await prisma.feedback.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+      select: {
+        id: true,
+        subject: true,
+        message: true,
+        type: true,
+        status: true,
+        apiCallId: true,
+        reply: true,
+        repliedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+
+    res.json({
+      success: true,
+      data: feedback
+    });
+
+  } catch (error) {
+    console.error('Get my feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get feedback'
+    });
+  }
+});
+
+module.exports = router;
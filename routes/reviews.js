@@ -1,22 +1,51 @@
 // routes/reviews.js - Updated with freemium usage tracking
 
+const crypto = require('crypto');
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const jwt = require('jsonwebtoken');
-const OpenAI = require('openai');
+const {
+  BUSINESS_TYPES,
+  BRAND_VOICES,
+  RESPONSE_LENGTHS,
+  RESPONSE_LENGTH_LIMITS,
+  resolveBusinessContext,
+  findTemplate
+} = require('../lib/business');
+const { scoreCandidate } = require('../lib/scoring');
+const { createJobQueue } = require('../lib/job-queue');
+const { buildAnalysisPrompt, parseAnalysis, analyzeHeuristically } = require('../lib/analysis');
+const { selectLlm } = require('../lib/llm');
+const { buildFallbackResponse } = require('../lib/fallback');
+const { LANGUAGE_CODES, resolveLanguage } = require('../lib/languages');
+const { responseCache, buildCacheKey } = require('../lib/response-cache');
+const { redactPII } = require('../lib/redaction');
+const { moderateText, buildVerdict } = require('../lib/moderation');
+const { buildResponsePrompt, buildMessages } = require('../lib/prompt');
+const { checkOutputPolicy } = require('../lib/output-policy');
+const { loadStyleExamples, selectStyleExamples } = require('../lib/style-examples');
+const { toCsvRow } = require('../lib/csv');
+const { getSettings } = require('../lib/settings');
+const { PLANS, requireEntitlement } = require('../lib/plans');
+const { getCreditBalance, creditsNeeded, consumeCredits, refundCredits } = require('../lib/credits');
+const {
+  GRANULARITIES,
+  resolveRange,
+  getUsageSeries,
+  summarizeSeries,
+  getBreakdowns,
+  getMonthOverMonth
+} = require('../lib/analytics');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // Environment setup
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
 
-// Authentication middleware with usage check
-const authenticateAndCheckUsage = async (req, res, next) => {
+// Authentication middleware (token, account and subscription checks)
+const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader?.split(' ')[1];
@@ -31,7 +60,7 @@ const authenticateAndCheckUsage = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    // Get user with current month usage
+    // Get user with current month usage and business profile
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       include: {
@@ -40,7 +69,8 @@ const authenticateAndCheckUsage = async (req, res, next) => {
             month: new Date().getMonth(),
             year: new Date().getFullYear()
           }
-        }
+        },
+        businessProfile: true
       }
     });
 
@@ -63,23 +93,12 @@ const authenticateAndCheckUsage = async (req, res, next) => {
       });
     }
 
-    // Check usage limits (except for unlimited plans)
     const currentUsage = user.usage[0]?.requestCount || 0;
-    if (user.monthlyLimit !== -1 && currentUsage >= user.monthlyLimit) {
-      return res.status(429).json({
-        success: false,
-        error: 'Monthly usage limit reached',
-        code: 'USAGE_LIMIT_REACHED',
-        usage: {
-          current: currentUsage,
-          limit: user.monthlyLimit,
-          resetDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1)
-        }
-      });
-    }
 
     req.user = user;
     req.currentUsage = currentUsage;
+    // Prepaid credits take over once the monthly quota is used up
+    req.creditBalance = user.monthlyLimit === -1 ? 0 : await getCreditBalance(prisma, user.id);
     next();
 
   } catch (error) {
@@ -91,74 +110,795 @@ const authenticateAndCheckUsage = async (req, res, next) => {
   }
 };
 
+// Requests the user can still make: what is left of the monthly quota plus prepaid credits
+function requestsAvailable({ user, currentUsage, creditBalance }) {
+  if (user.monthlyLimit === -1) return Infinity;
+  return Math.max(0, user.monthlyLimit - currentUsage) + creditBalance;
+}
+
+// 429 for a request the user has not enough requests left for
+function sendUsageLimitReached(req, res, { error = 'Monthly usage limit reached', required } = {}) {
+  return res.status(429).json({
+    success: false,
+    error,
+    code: 'USAGE_LIMIT_REACHED',
+    usage: {
+      current: req.currentUsage,
+      limit: req.user.monthlyLimit,
+      credits: req.creditBalance,
+      ...(required && { required }),
+      resetDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1)
+    }
+  });
+}
+
+// Usage check, runs after authenticateUser
+const checkUsageLimit = (req, res, next) => {
+  // Check usage limits (except for unlimited plans)
+  if (requestsAvailable(req) < 1) {
+    return sendUsageLimitReached(req, res);
+  }
+
+  next();
+};
+
+const authenticateAndCheckUsage = [authenticateUser, checkUsageLimit];
+
+// Maintenance mode (admin setting) stops new work for the model; admins can still test.
+// Runs before checkUsageLimit, so users at their quota also see the maintenance notice.
+const checkMaintenance = async (req, res, next) => {
+  const { maintenanceMode, maintenanceMessage } = await getSettings(prisma);
+
+  if (maintenanceMode && req.user.role !== 'admin') {
+    return res.status(503).json({
+      success: false,
+      error: maintenanceMessage,
+      code: 'MAINTENANCE_MODE'
+    });
+  }
+
+  next();
+};
+
+// Any registered language, or 'auto' to reply in the reviewer's language
+const LANGUAGE_OPTIONS = [...LANGUAGE_CODES, 'auto'];
+
 // Validation
 const generateValidation = [
   body('reviewText').trim().isLength({ min: 10, max: 5000 }),
   body('tone').isIn(['professional', 'friendly', 'apologetic', 'grateful']),
-  body('language').isIn(['en', 'ro', 'es', 'fr', 'de', 'it']).optional()
+  body('language').isIn(LANGUAGE_OPTIONS).optional(),
+  // Optional per-request overrides of the saved BusinessProfile
+  body('businessType').isIn([...Object.keys(BUSINESS_TYPES), 'general']).optional(),
+  body('businessName').trim().isLength({ min: 2, max: 100 }).optional(),
+  body('description').trim().isLength({ max: 500 }).optional(),
+  body('brandVoice').isIn(BRAND_VOICES).optional(),
+  body('responseLength').isIn(RESPONSE_LENGTHS).optional(),
+  body('specialInstructions').trim().isLength({ max: 1000 }).optional(),
+  body('customKeywords').isArray({ max: 20 }).optional(),
+  body('templateId').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  body('variants').isInt({ min: 1, max: 5 }).toInt().optional(),
+  // Skip the response cache and always call the model
+  body('fresh').isBoolean().toBoolean().optional()
 ];
 
-// GENERATE RESPONSE - Main endpoint
-router.post('/generate', authenticateAndCheckUsage, generateValidation, async (req, res) => {
+// Extra instruction per candidate so variants differ in phrasing and tone
+const VARIANT_ANGLES = [
+  null,
+  'Use different wording and a different opening sentence than a typical reply',
+  'Make it noticeably shorter and more direct',
+  'Make it warmer and more personal',
+  'Focus on what happens next for the customer'
+];
+
+// How multi-variant requests count against monthlyLimit (PLANS[plan].variantBilling)
+function usageUnitsFor(plan, variantCount) {
+  return (PLANS[plan]?.variantBilling || 'per_variant') === 'per_request' ? 1 : variantCount;
+}
+
+// Word budget from the response length, max_tokens from the maxTokens setting
+function lengthLimitsFor(responseLength, settings) {
+  return {
+    ...RESPONSE_LENGTH_LIMITS[responseLength],
+    maxTokens: settings.maxTokens[responseLength]
+  };
+}
+
+// Reject requests that failed generateValidation
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input',
+      details: errors.array()
+    });
+  }
+
+  next();
+};
+
+// Resolve profile, template and prompt shared by /generate and /generate/stream
+const prepareGeneration = async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const { tone, templateId } = req.body;
+    const user = req.user;
+
+    // Saved BusinessProfile, with request-level overrides applied
+    const business = resolveBusinessContext(user, req.body);
+
+    // Personal data never reaches the model, the moderation endpoint or the database
+    const { text: reviewText, redactions } = redactPII(req.body.reviewText, { businessType: business.businessType });
+    const { language, requested, detected } = resolveLanguage(req.body.language, reviewText);
+
+    // Default template key or custom ResponseTemplate id
+    let template = null;
+    if (templateId) {
+      template = await findTemplate(prisma, user.id, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+    }
+
+    const moderation = await moderateText(reviewText, { stage: 'input' });
+    const settings = await getSettings(prisma);
+
+    // Replies the user posted and liked or edited steer the style of new drafts
+    const examples = selectStyleExamples(await loadStyleExamples(prisma, user.id), { language, tone });
+
+    req.generation = {
+      reviewText,
+      tone,
+      language,
+      languageRequested: requested,
+      languageDetected: detected,
+      business,
+      template,
+      redactions,
+      moderation,
+      examples,
+      llm: selectLlm(user.subscriptionPlan, settings),
+      temperature: settings.temperature,
+      systemPrompt: settings.systemPrompt,
+      lengthLimits: lengthLimitsFor(business.responseLength, settings),
+      prompt: buildResponsePrompt(reviewText, tone, language, business, template, {
+        languageDetected: detected,
+        redactions,
+        moderation,
+        examples
+      })
+    };
+
+    if (moderation.blocked) {
+      await recordBlockedInput(user, req.generation);
+
+      return res.status(422).json({
         success: false,
-        error: 'Invalid input',
-        details: errors.array()
+        error: 'Review was blocked by content moderation',
+        code: 'CONTENT_BLOCKED',
+        moderation: buildVerdict(moderation)
       });
     }
 
-    const { reviewText, tone, language = 'en', businessType = 'general' } = req.body;
+    req.generation.cacheKey = buildCacheKey({
+      userId: user.id,
+      reviewText,
+      tone,
+      language,
+      business,
+      template,
+      model: req.generation.llm.model
+    });
+    req.generation.useCache = !req.body.fresh && req.headers['cache-control'] !== 'no-cache';
+    next();
+
+  } catch (error) {
+    console.error('Prepare generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate response'
+    });
+  }
+};
+
+// GENERATE RESPONSE - Main endpoint
+router.post('/generate', authenticateUser, checkMaintenance, generateValidation, handleValidationErrors, prepareGeneration, async (req, res) => {
+  try {
+    const { variants = 1 } = req.body;
+    const { reviewText, tone, language, languageRequested, languageDetected, business, template, redactions, llm, lengthLimits, prompt } = req.generation;
     const user = req.user;
     const startTime = Date.now();
 
-    // Build AI prompt
-    const prompt = buildResponsePrompt(reviewText, tone, language, businessType, user.businessName);
+    // Same review seen recently: answer from the cache, free of charge, even at the usage limit
+    const cached = variants === 1 && req.generation.useCache ? responseCache.get(req.generation.cacheKey) : null;
+    if (cached) {
+      return res.json({
+        success: true,
+        response: cached.response,
+        metadata: {
+          ...cached.metadata,
+          duration: Date.now() - startTime,
+          cached: true,
+          cachedAt: cached.createdAt,
+          apiCallId: cached.apiCallId
+        },
+        usage: buildUsageSummary(user, { requestCount: req.currentUsage }, 0, req.creditBalance)
+      });
+    }
+
+    // The model is called: one request per charged unit, several for multi-variant requests
+    const chargedRequests = usageUnitsFor(user.subscriptionPlan, variants);
+    if (requestsAvailable(req) < chargedRequests) {
+      return sendUsageLimitReached(req, res, variants > 1
+        ? { error: `Not enough requests left for ${variants} variants`, required: chargedRequests }
+        : {});
+    }
+
+    // One completion per candidate, each with its own angle
+    const drafts = await Promise.all(
+      VARIANT_ANGLES.slice(0, variants).map(async angle => screenDraft(
+        await requestCompletion(angle ? `${prompt}\n- ${angle}` : prompt, lengthLimits.maxTokens, req.generation),
+        req.generation
+      ))
+    );
 
-    let responseText, tokensUsed = 0, cost = 0;
+    const keywords = [...business.customKeywords, ...(business.typeInfo?.keywords || [])];
+    const candidates = drafts
+      .map((draft, index) => ({
+        ...draft,
+        variantIndex: index,
+        ...scoreCandidate(draft.responseText, {
+          reviewText,
+          wordLimit: lengthLimits.words,
+          keywords,
+          fallback: draft.fallback
+        })
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const tokensUsed = candidates.reduce((sum, candidate) => sum + candidate.tokensUsed, 0);
+    const cost = candidates.reduce((sum, candidate) => sum + candidate.cost, 0);
+    const duration = Date.now() - startTime;
+    const variantGroup = variants > 1 ? crypto.randomUUID() : null;
+
+    // Fallback replies are free; only candidates the model actually wrote are charged
+    const generated = candidates.filter(candidate => !candidate.fallback).length;
+    const billedRequests = generated === 0 ? 0 : usageUnitsFor(user.subscriptionPlan, generated);
+
+    const { usage: updatedUsage, apiCalls, creditsUsed } = await recordGeneration(user, req.generation, {
+      candidates,
+      chargedRequests: billedRequests,
+      duration,
+      variantGroup
+    });
+
+    const metadata = {
+      tokensUsed,
+      cost: cost.toFixed(6),
+      duration,
+      language,
+      languageRequested,
+      languageDetected,
+      tone,
+      businessType: business.businessType,
+      profileApplied: business.hasProfile,
+      styleExamples: req.generation.examples.length,
+      templateId: template?.id || null,
+      variants,
+      fallback: candidates.every(candidate => candidate.fallback),
+      cached: false,
+      redactions,
+      moderation: buildVerdict(req.generation.moderation, candidates[0].moderation),
+      policy: candidates[0].policy || null,
+      provider: llm.provider.name,
+      model: llm.model
+    };
+
+    if (variants === 1 && !candidates[0].fallback) {
+      responseCache.set(req.generation.cacheKey, {
+        response: candidates[0].responseText,
+        apiCallId: apiCalls[0].id,
+        metadata,
+        createdAt: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      response: candidates[0].responseText,
+      ...(variantGroup && {
+        variantGroup,
+        candidates: candidates.map((candidate, index) => ({
+          id: apiCalls[index].id,
+          rank: index + 1,
+          response: candidate.responseText,
+          score: candidate.score,
+          reasons: candidate.reasons,
+          fallback: candidate.fallback,
+          moderation: buildVerdict(req.generation.moderation, candidate.moderation).action
+        }))
+      }),
+      metadata,
+      usage: buildUsageSummary(user, updatedUsage, billedRequests, req.creditBalance - creditsUsed)
+    });
+
+  } catch (error) {
+    console.error('Generate response error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate response'
+    });
+  }
+});
+
+// GENERATE RESPONSE (STREAM) - Same as /generate, but sends tokens as Server-Sent Events
+router.post('/generate/stream', authenticateUser, checkMaintenance, generateValidation, handleValidationErrors, prepareGeneration, async (req, res) => {
+  const { tone, language, languageRequested, languageDetected, business, template, redactions, llm, temperature, systemPrompt, lengthLimits, prompt } = req.generation;
+  const user = req.user;
+  const startTime = Date.now();
+  const controller = new AbortController();
+
+  let responseText = '';
+  let streamUsage = null;
+  let fallback = false;
+  let fallbackReason = null;
+  let outputModeration = null;
+  let outputPolicy = null;
+  let clientGone = false;
+  let recording = null;
+
+  // Usage and the ApiCall row are written exactly once, whatever ends the stream
+  const finalize = (errorMessage = null) => {
+    if (!recording) {
+      // Providers only report usage in the last chunk; estimate it when the stream was cut short
+      const promptTokens = streamUsage?.promptTokens ?? (fallback ? 0 : estimateTokens(prompt));
+      const completionTokens = streamUsage?.completionTokens ?? (fallback ? 0 : estimateTokens(responseText));
+
+      recording = recordGeneration(user, req.generation, {
+        candidates: [{
+          responseText,
+          tokensUsed: promptTokens + completionTokens,
+          cost: llm.provider.cost(llm.model, { promptTokens, completionTokens }),
+          fallback,
+          errorMessage: fallbackReason,
+          moderation: outputModeration,
+          policy: outputPolicy
+        }],
+        chargedRequests: fallback ? 0 : 1,
+        duration: Date.now() - startTime,
+        errorMessage
+      });
+    }
+    return recording;
+  };
+
+  const send = (event, data) => {
+    if (!clientGone) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      controller.abort();
+    }
+  });
+
+  // Cached replies are free; only a call to the model needs a request left
+  const cached = req.generation.useCache ? responseCache.get(req.generation.cacheKey) : null;
+  if (!cached && requestsAvailable(req) < 1) {
+    return sendUsageLimitReached(req, res);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Same review seen recently: replay the cached response as a single token
+  if (cached) {
+    send('token', { text: cached.response });
+    send('done', {
+      success: true,
+      id: cached.apiCallId,
+      response: cached.response,
+      metadata: {
+        ...cached.metadata,
+        duration: Date.now() - startTime,
+        cached: true,
+        cachedAt: cached.createdAt
+      },
+      usage: buildUsageSummary(user, { requestCount: req.currentUsage }, 0, req.creditBalance)
+    });
+    return res.end();
+  }
+
+  try {
+    try {
+      const stream = llm.provider.stream({
+        model: llm.model,
+        messages: buildMessages(prompt, systemPrompt),
+        maxTokens: lengthLimits.maxTokens,
+        temperature,
+        signal: controller.signal
+      });
+
+      for await (const chunk of stream) {
+        if (chunk.text) {
+          responseText += chunk.text;
+          send('token', { text: chunk.text });
+        }
+        if (chunk.usage) {
+          streamUsage = chunk.usage;
+        }
+      }
+
+    } catch (llmError) {
+      if (clientGone) {
+        throw llmError;
+      }
+      console.error(`LLM provider error (${llm.provider.name}):`, llmError);
+
+      // Nothing streamed yet: behave like /generate and send the fallback reply
+      if (!responseText) {
+        fallback = true;
+        fallbackReason = llmError.message;
+        responseText = buildFallbackResponse({ tone, language, business, template });
+        send('token', { text: responseText });
+      } else {
+        throw llmError;
+      }
+    }
+
+    // Tokens are already on the client; a rejected or blocked reply is replaced by the canned
+    // one in the done event, which clients must render instead of the streamed text
+    if (!fallback) {
+      const moderated = await screenDraft({ responseText, fallback }, req.generation);
+      outputModeration = moderated.moderation || null;
+      outputPolicy = moderated.policy;
+      if (moderated.fallback) {
+        responseText = moderated.responseText;
+        fallback = true;
+        fallbackReason = moderated.errorMessage;
+      }
+    }
+
+    const { usage: updatedUsage, apiCalls, creditsUsed } = await finalize();
+
+    const metadata = {
+      tokensUsed: apiCalls[0].tokensUsed,
+      cost: apiCalls[0].cost.toFixed(6),
+      duration: apiCalls[0].duration,
+      language,
+      languageRequested,
+      languageDetected,
+      tone,
+      businessType: business.businessType,
+      profileApplied: business.hasProfile,
+      styleExamples: req.generation.examples.length,
+      templateId: template?.id || null,
+      variants: 1,
+      fallback,
+      cached: false,
+      redactions,
+      moderation: buildVerdict(req.generation.moderation, outputModeration),
+      policy: outputPolicy,
+      provider: llm.provider.name,
+      model: llm.model
+    };
+
+    if (!fallback) {
+      responseCache.set(req.generation.cacheKey, {
+        response: responseText,
+        apiCallId: apiCalls[0].id,
+        metadata,
+        createdAt: new Date()
+      });
+    }
+
+    send('done', {
+      success: true,
+      id: apiCalls[0].id,
+      response: responseText,
+      metadata,
+      usage: buildUsageSummary(user, updatedUsage, fallback ? 0 : 1, req.creditBalance - creditsUsed)
+    });
+
+  } catch (error) {
+    const reason = clientGone ? 'Client disconnected' : error.message;
+    if (!clientGone) {
+      console.error('Stream response error:', error);
+    }
+
+    try {
+      await finalize(reason);
+    } catch (recordError) {
+      console.error('Stream usage recording error:', recordError);
+    }
+
+    send('error', {
+      success: false,
+      error: 'Failed to generate response'
+    });
+  }
+
+  if (!clientGone) {
+    res.end();
+  }
+});
+
+// SELECT VARIANT - Record which candidate of a multi-variant request was picked
+router.post('/variants/:id/select', authenticateUser, async (req, res) => {
+  try {
+    const apiCall = await prisma.apiCall.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        variantGroup: { not: null }
+      }
+    });
+
+    if (!apiCall) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found'
+      });
+    }
+
+    // Only one candidate per group can be the picked one
+    const selectedAt = new Date();
+    await prisma.$transaction([
+      prisma.apiCall.updateMany({
+        where: { variantGroup: apiCall.variantGroup, userId: req.user.id },
+        data: { selectedAt: null }
+      }),
+      prisma.apiCall.update({
+        where: { id: apiCall.id },
+        data: { selectedAt }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      variantGroup: apiCall.variantGroup,
+      selectedId: apiCall.id,
+      selectedAt
+    });
+
+  } catch (error) {
+    console.error('Select variant error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to select variant'
+    });
+  }
+});
+
+// RECORD FINAL REPLY - What the user actually posted, and how they rated the draft
+const finalReplyValidation = [
+  body('finalText').isString().trim().isLength({ min: 1, max: 2000 }).optional(),
+  body('rating').isIn(['up', 'down']).optional(),
+  body('reason').isString().trim().isLength({ max: 500 }).optional()
+];
+
+router.post('/history/:id/feedback', authenticateUser, finalReplyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { finalText, rating, reason } = req.body;
+
+    if (finalText === undefined && rating === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide finalText, rating or both',
+        code: 'NOTHING_TO_RECORD'
+      });
+    }
+
+    const apiCall = await prisma.apiCall.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        kind: 'reply'
+      }
+    });
+
+    if (!apiCall || !apiCall.responseText) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    const normalize = text => text.replace(/\s+/g, ' ').trim();
+    const data = { feedbackAt: new Date() };
+
+    if (finalText !== undefined) {
+      data.finalText = finalText;
+      data.edited = normalize(finalText) !== normalize(apiCall.responseText);
+    }
+    if (rating !== undefined) {
+      data.rating = rating;
+      data.ratingReason = reason || null;
+    }
+
+    const updated = await prisma.apiCall.update({
+      where: { id: apiCall.id },
+      data
+    });
+
+    // New style examples change what a fresh draft would look like
+    responseCache.invalidateUser(req.user.id);
+
+    res.json({
+      success: true,
+      feedback: {
+        id: updated.id,
+        finalText: updated.finalText,
+        edited: updated.edited,
+        rating: updated.rating,
+        reason: updated.ratingReason,
+        feedbackAt: updated.feedbackAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Record final reply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record final reply'
+    });
+  }
+});
+
+// ANALYZE REVIEW - Sentiment, rating, language and topics before answering
+const analyzeValidation = [
+  body('reviewText').trim().isLength({ min: 10, max: 5000 }),
+  body('businessType').isIn([...Object.keys(BUSINESS_TYPES), 'general']).optional()
+];
+
+router.post('/analyze', authenticateUser, checkMaintenance, checkUsageLimit, analyzeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const business = resolveBusinessContext(req.user, req.body);
+    const { text: reviewText, redactions } = redactPII(req.body.reviewText, { businessType: business.businessType });
+    const llm = selectLlm(req.user.subscriptionPlan, await getSettings(prisma));
+    const startTime = Date.now();
+
+    let analysis, tokensUsed = 0, cost = 0;
 
     try {
-      // Call OpenAI API
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const completion = await llm.provider.complete({
+        model: llm.model,
         messages: [
           {
             role: 'system',
-            content: 'You are a professional customer service assistant. Generate helpful, appropriate responses to customer reviews in the requested language and tone.'
+            content: 'You analyze customer reviews and answer with strict JSON.'
           },
           {
             role: 'user',
-            content: prompt
+            content: buildAnalysisPrompt(reviewText, business.typeInfo)
           }
         ],
-        max_tokens: 250,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
+        maxTokens: 300,
+        temperature: 0,
+        kind: 'analysis'
       });
 
-      responseText = completion.choices[0].message.content;
-      tokensUsed = completion.usage.total_tokens;
-      
-      // Calculate cost (approximate)
-      const inputTokens = completion.usage.prompt_tokens;
-      const outputTokens = completion.usage.completion_tokens;
-      cost = (inputTokens * 0.00003) + (outputTokens * 0.00006);
+      // The tokens are paid for even when the reply turns out not to be JSON
+      tokensUsed = completion.usage.totalTokens;
+      cost = llm.provider.cost(llm.model, completion.usage);
+      analysis = parseAnalysis(completion.text, reviewText, business.typeInfo);
+
+    } catch (analysisError) {
+      console.error('Review analysis error:', analysisError);
 
-    } catch (openaiError) {
-      console.error('OpenAI API error:', openaiError);
-      
-      // Return a fallback response instead of failing
-      responseText = generateFallbackResponse(reviewText, tone, language);
+      // Fall back to local heuristics instead of failing
+      analysis = analyzeHeuristically(reviewText, business.typeInfo);
     }
 
+    // Charged like a generated reply; a heuristic analysis is free, like a fallback reply
+    const fallback = analysis.source !== 'model';
+    const chargedRequests = fallback ? 0 : 1;
     const duration = Date.now() - startTime;
 
-    // Update usage and log API call in transaction
-    const updatedUsage = await prisma.$transaction(async (tx) => {
-      // Update usage count
+    const { usage: updatedUsage, apiCalls, creditsUsed } = await recordGeneration(req.user, {
+      reviewText,
+      language: analysis.language,
+      business,
+      llm,
+      redactions,
+      moderation: null
+    }, {
+      kind: 'analysis',
+      candidates: [{ responseText: JSON.stringify(analysis), tokensUsed, cost, fallback }],
+      chargedRequests,
+      duration
+    });
+
+    res.json({
+      success: true,
+      analysis,
+      metadata: {
+        apiCallId: apiCalls[0].id,
+        businessType: business.businessType,
+        tokensUsed,
+        cost: cost.toFixed(6),
+        duration,
+        provider: analysis.source === 'model' ? llm.provider.name : null,
+        model: analysis.source === 'model' ? llm.model : null
+      },
+      usage: buildUsageSummary(req.user, updatedUsage, chargedRequests, req.creditBalance - creditsUsed)
+    });
+
+  } catch (error) {
+    console.error('Analyze review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze review'
+    });
+  }
+});
+
+// Batch generation: items run in the background through a shared in-process queue
+const MAX_BATCH_ITEMS = 50;
+const batchQueue = createJobQueue({
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3
+});
+
+const batchValidation = [
+  body('reviews').isArray({ min: 1, max: MAX_BATCH_ITEMS }),
+  body('reviews.*.reviewText').trim().isLength({ min: 10, max: 5000 }),
+  body('reviews.*.tone').isIn(['professional', 'friendly', 'apologetic', 'grateful']).optional(),
+  body('reviews.*.language').isIn(LANGUAGE_OPTIONS).optional(),
+  body('reviews.*.externalId').isString().trim().isLength({ max: 200 }).optional(),
+  // Batch-level defaults
+  body('tone').isIn(['professional', 'friendly', 'apologetic', 'grateful']).optional(),
+  body('language').isIn(LANGUAGE_OPTIONS).optional(),
+  body('templateId').isString().trim().isLength({ min: 1, max: 100 }).optional(),
+  body('businessType').isIn([...Object.keys(BUSINESS_TYPES), 'general']).optional(),
+  body('brandVoice').isIn(BRAND_VOICES).optional(),
+  body('responseLength').isIn(RESPONSE_LENGTHS).optional()
+];
+
+// CREATE BATCH - Queue many reviews at once (plans with api_access)
+router.post('/batch', authenticateUser, requireEntitlement('api_access'), checkMaintenance, checkUsageLimit, batchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      reviews,
+      tone = 'professional',
+      language = 'auto',
+      templateId,
+      businessType,
+      brandVoice,
+      responseLength
+    } = req.body;
+    const user = req.user;
+    const business = resolveBusinessContext(user, req.body);
+
+    // The whole batch must fit in the remaining monthly quota and credits
+    if (requestsAvailable(req) < reviews.length) {
+      return sendUsageLimitReached(req, res, {
+        error: `Not enough requests left for ${reviews.length} reviews`,
+        required: reviews.length
+      });
+    }
+
+    if (templateId && !(await findTemplate(prisma, user.id, templateId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    // Reserve quota (then credits) for every item up front; failed items are refunded
+    const { job: batch, creditsUsed } = await prisma.$transaction(async (tx) => {
       const usage = await tx.usage.upsert({
         where: {
           userId_month_year: {
@@ -169,78 +909,188 @@ router.post('/generate', authenticateAndCheckUsage, generateValidation, async (r
         },
         update: {
           requestCount: {
-            increment: 1
+            increment: reviews.length
           }
         },
         create: {
           userId: user.id,
           month: new Date().getMonth(),
           year: new Date().getFullYear(),
-          requestCount: 1
+          requestCount: reviews.length
         }
       });
 
-      // Log API call
-      await tx.apiCall.create({
+      const job = await tx.batchJob.create({
         data: {
           userId: user.id,
-          reviewText: reviewText.substring(0, 500),
-          responseText: responseText.substring(0, 500),
-          language,
-          tone,
-          model: 'gpt-4',
-          businessType,
-          tokensUsed,
-          cost,
-          duration,
-          success: true
+          totalItems: reviews.length,
+          options: JSON.stringify({ templateId, businessType, brandVoice, responseLength })
         }
       });
 
-      return usage;
+      await tx.batchItem.createMany({
+        data: reviews.map((review, position) => {
+          // Items are stored already redacted
+          const { text, redactions } = redactPII(review.reviewText, { businessType: business.businessType });
+
+          return {
+            batchId: job.id,
+            position,
+            externalId: review.externalId || null,
+            reviewText: text,
+            redactions: Object.keys(redactions).length > 0 ? JSON.stringify(redactions) : null,
+            tone: review.tone || tone,
+            language: review.language || language
+          };
+        })
+      });
+
+      const creditsUsed = await consumeCredits(tx, user.id, creditsNeeded(user.monthlyLimit, usage.requestCount - reviews.length, usage.requestCount), {
+        reference: job.id
+      });
+
+      return { job, creditsUsed };
     });
 
-    // Prepare response
-    const remaining = user.monthlyLimit === -1 ? -1 : Math.max(0, user.monthlyLimit - updatedUsage.requestCount);
+    processBatch(batch.id).catch(error => {
+      console.error('Batch processing error:', error);
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      response: responseText,
-      metadata: {
-        tokensUsed,
-        cost: cost.toFixed(6),
-        duration,
-        language,
-        tone,
-        model: 'gpt-4'
+      batch: {
+        id: batch.id,
+        status: batch.status,
+        totalItems: batch.totalItems,
+        statusUrl: `${req.baseUrl}/batch/${batch.id}`
       },
       usage: {
-        current: updatedUsage.requestCount,
+        reserved: reviews.length,
+        current: req.currentUsage + reviews.length,
         limit: user.monthlyLimit,
-        remaining,
-        percentage: user.monthlyLimit === -1 ? 0 : Math.round((updatedUsage.requestCount / user.monthlyLimit) * 100)
+        creditsReserved: creditsUsed,
+        credits: req.creditBalance - creditsUsed
       }
     });
 
   } catch (error) {
-    console.error('Generate response error:', error);
+    console.error('Create batch error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate response'
+      error: 'Failed to create batch'
     });
   }
 });
 
+// GET BATCH - Status and per-item results
+router.get('/batch/:id', authenticateUser, async (req, res) => {
+  try {
+    const batch = await prisma.batchJob.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        items: {
+          orderBy: { position: 'asc' }
+        }
+      }
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: {
+        id: batch.id,
+        status: batch.status,
+        totalItems: batch.totalItems,
+        completedItems: batch.completedItems,
+        failedItems: batch.failedItems,
+        pendingItems: batch.totalItems - batch.completedItems - batch.failedItems,
+        createdAt: batch.createdAt,
+        completedAt: batch.completedAt
+      },
+      items: batch.items.map(item => ({
+        position: item.position,
+        externalId: item.externalId,
+        status: item.status,
+        tone: item.tone,
+        language: item.language,
+        response: item.responseText,
+        fallback: item.fallback,
+        apiCallId: item.apiCallId,
+        error: item.errorMessage
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get batch'
+    });
+  }
+});
+
+// A bare date as the end of a range includes that whole day
+const inclusiveEndDate = value =>
+  new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+// History filters, shared by /history and /history/export
+const historyFilterValidation = [
+  query('tone').isIn(['professional', 'friendly', 'apologetic', 'grateful']).optional(),
+  query('language').isIn(LANGUAGE_CODES).optional(),
+  query('businessType').isIn([...Object.keys(BUSINESS_TYPES), 'general']).optional(),
+  query('success').isBoolean().toBoolean().optional(),
+  query('from').isISO8601().toDate().optional(),
+  query('to').isISO8601().customSanitizer(inclusiveEndDate).optional(),
+  query('q').isString().trim().isLength({ min: 1, max: 200 }).optional()
+];
+
+// Review analyses are logged as ApiCalls too, but only replies make up the history
+function buildHistoryWhere(userId, { tone, language, businessType, success, from, to, q }) {
+  const where = { userId, kind: 'reply' };
+
+  if (tone) where.tone = tone;
+  if (language) where.language = language;
+  if (businessType) where.businessType = businessType;
+  if (success !== undefined) where.success = success;
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lte = to;
+  }
+
+  // Full-text search over the review, the draft and the posted reply
+  if (q) {
+    where.OR = [
+      { reviewText: { contains: q } },
+      { responseText: { contains: q } },
+      { finalText: { contains: q } }
+    ];
+  }
+
+  return where;
+}
+
 // GET HISTORY
-router.get('/history', authenticateAndCheckUsage, async (req, res) => {
+router.get('/history', authenticateAndCheckUsage, historyFilterValidation, handleValidationErrors, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
     const offset = (page - 1) * limit;
+    const where = buildHistoryWhere(req.user.id, req.query);
 
     const [calls, totalCount] = await Promise.all([
       prisma.apiCall.findMany({
-        where: { userId: req.user.id },
+        where,
         orderBy: { createdAt: 'desc' },
         take: limit,
         skip: offset,
@@ -252,12 +1102,13 @@ router.get('/history', authenticateAndCheckUsage, async (req, res) => {
           tone: true,
           businessType: true,
           success: true,
+          finalText: true,
+          edited: true,
+          rating: true,
           createdAt: true
         }
       }),
-      prisma.apiCall.count({
-        where: { userId: req.user.id }
-      })
+      prisma.apiCall.count({ where })
     ]);
 
     res.json({
@@ -282,6 +1133,73 @@ router.get('/history', authenticateAndCheckUsage, async (req, res) => {
   }
 });
 
+// EXPORT HISTORY - Every matching row as CSV or JSON, streamed in pages
+const EXPORT_PAGE_SIZE = 500;
+const EXPORT_FIELDS = [
+  'id', 'createdAt', 'language', 'tone', 'businessType', 'model', 'success', 'fallback',
+  'reviewText', 'responseText', 'finalText', 'edited', 'rating', 'ratingReason',
+  'tokensUsed', 'cost', 'duration'
+];
+
+const exportValidation = [
+  query('format').isIn(['csv', 'json']).optional(),
+  ...historyFilterValidation
+];
+
+router.get('/history/export', authenticateUser, requireEntitlement('history_export'), exportValidation, handleValidationErrors, async (req, res) => {
+  const format = req.query.format || 'csv';
+  const where = buildHistoryWhere(req.user.id, req.query);
+  const select = Object.fromEntries(EXPORT_FIELDS.map(field => [field, true]));
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="review-history-${date}.${format}"`);
+
+  try {
+    let cursor = null;
+    let first = true;
+
+    res.write(format === 'csv' ? toCsvRow(EXPORT_FIELDS) : '[');
+
+    // Keyset pagination keeps memory flat however long the history is
+    do {
+      const rows = await prisma.apiCall.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: EXPORT_PAGE_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        select
+      });
+
+      for (const row of rows) {
+        if (format === 'csv') {
+          res.write(toCsvRow(EXPORT_FIELDS.map(field => row[field])));
+        } else {
+          res.write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+        }
+        first = false;
+      }
+
+      cursor = rows.length === EXPORT_PAGE_SIZE ? rows[rows.length - 1].id : null;
+    } while (cursor && !res.destroyed);
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+
+  } catch (error) {
+    console.error('Export history error:', error);
+
+    // Headers are gone once rows were written; cut the download so it is not mistaken for complete
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export history'
+      });
+    }
+  }
+});
+
 // GET STATS
 router.get('/stats', authenticateAndCheckUsage, async (req, res) => {
   try {
@@ -298,10 +1216,18 @@ router.get('/stats', authenticateAndCheckUsage, async (req, res) => {
       }
     });
 
-    // Total usage
-    const totalCalls = await prisma.apiCall.count({
-      where: { userId: req.user.id, success: true }
-    });
+    // Total usage: one per generated reply, however many variants it had; analyses are not replies
+    const replies = { userId: req.user.id, kind: 'reply', success: true };
+    const [singleReplies, variantGroups] = await Promise.all([
+      prisma.apiCall.count({
+        where: { ...replies, variantGroup: null }
+      }),
+      prisma.apiCall.groupBy({
+        by: ['variantGroup'],
+        where: { ...replies, variantGroup: { not: null } }
+      })
+    ]);
+    const totalCalls = singleReplies + variantGroups.length;
 
     const currentUsage = currentMonth?.requestCount || 0;
     const remaining = req.user.monthlyLimit === -1 ? -1 : Math.max(0, req.user.monthlyLimit - currentUsage);
@@ -315,6 +1241,9 @@ router.get('/stats', authenticateAndCheckUsage, async (req, res) => {
         percentage: req.user.monthlyLimit === -1 ? 0 : Math.round((currentUsage / req.user.monthlyLimit) * 100),
         resetDate: new Date(now.getFullYear(), now.getMonth() + 1, 1)
       },
+      credits: {
+        balance: req.creditBalance
+      },
       allTime: {
         totalRequests: totalCalls
       },
@@ -334,50 +1263,404 @@ router.get('/stats', authenticateAndCheckUsage, async (req, res) => {
   }
 });
 
+// ANALYTICS - Time series, breakdowns and month-over-month comparison ("Statistici avansate")
+const analyticsValidation = [
+  query('granularity').isIn(Object.keys(GRANULARITIES)).optional(),
+  query('from').isISO8601().toDate().optional(),
+  query('to').isISO8601().customSanitizer(inclusiveEndDate).optional()
+];
+
+router.get('/analytics', authenticateUser, requireEntitlement('advanced_stats'), analyticsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date range is reversed or has too many periods for this granularity',
+        code: 'INVALID_RANGE'
+      });
+    }
+
+    const [series, breakdowns, monthOverMonth] = await Promise.all([
+      getUsageSeries(prisma, req.user.id, range),
+      getBreakdowns(prisma, req.user.id, range),
+      getMonthOverMonth(prisma, req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      range: {
+        from: range.from,
+        to: range.to,
+        granularity: range.granularity
+      },
+      series,
+      totals: summarizeSeries(series),
+      breakdowns,
+      monthOverMonth
+    });
+
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get analytics'
+    });
+  }
+});
+
 // Helper functions
-function buildResponsePrompt(reviewText, tone, language, businessType, businessName) {
-  const languageNames = {
-    en: 'English',
-    ro: 'Romanian',
-    es: 'Spanish', 
-    fr: 'French',
-    de: 'German',
-    it: 'Italian'
-  };
+// Ask the selected provider for one candidate; never throws, falls back to a canned reply instead
+async function requestCompletion(prompt, maxTokens, { tone, language, business, template, llm, temperature, systemPrompt }) {
+  try {
+    const completion = await llm.provider.complete({
+      model: llm.model,
+      messages: buildMessages(prompt, systemPrompt),
+      maxTokens,
+      temperature
+    });
+
+    return {
+      responseText: completion.text,
+      tokensUsed: completion.usage.totalTokens,
+      cost: llm.provider.cost(llm.model, completion.usage),
+      fallback: false
+    };
 
-  const toneInstructions = {
-    professional: 'Write a professional, business-appropriate response.',
-    friendly: 'Write a warm, friendly, and personable response.',
-    apologetic: 'Write an apologetic response that acknowledges any issues mentioned.',
-    grateful: 'Write a grateful response that thanks the customer for their feedback.'
+  } catch (llmError) {
+    console.error(`LLM provider error (${llm.provider.name}):`, llmError);
+
+    // Return a fallback response instead of failing
+    return {
+      responseText: buildFallbackResponse({ tone, language, business, template }),
+      tokensUsed: 0,
+      cost: 0,
+      fallback: true,
+      errorMessage: llmError.message
+    };
+  }
+}
+
+function moderationError(moderation) {
+  return `Blocked by moderation: ${moderation.categories.join(', ')}`;
+}
+
+function policyError(policy) {
+  const reasons = policy.violations.map(violation => `${violation.rule} ("${violation.match}")`);
+  return `Rejected by output policy: ${reasons.join(', ')}`;
+}
+
+// Output policy and moderation; a refused draft is swapped for the canned reply and,
+// like any fallback, not charged
+async function screenDraft(draft, generation) {
+  if (draft.fallback) {
+    return draft;
+  }
+
+  const policy = checkOutputPolicy(draft.responseText, generation.business);
+  if (!policy.allowed) {
+    console.warn(`${policyError(policy)}; user reply replaced with fallback`);
+
+    return {
+      ...draft,
+      responseText: buildFallbackResponse(generation),
+      fallback: true,
+      errorMessage: policyError(policy),
+      policy
+    };
+  }
+
+  const { business } = generation;
+  const moderation = await moderateText(draft.responseText, {
+    stage: 'output',
+    businessText: [business.businessName, business.description, business.specialInstructions].filter(Boolean).join('\n')
+  });
+  if (!moderation.blocked) {
+    // Flagged but publishable: kept, with the verdict stored on the ApiCall for review
+    if (moderation.flagged) {
+      console.warn(`Reply flagged by moderation (${moderation.categories.join(', ')}); kept for review`);
+    }
+    return { ...draft, policy, moderation };
+  }
+
+  return {
+    ...draft,
+    responseText: buildFallbackResponse(generation),
+    fallback: true,
+    errorMessage: moderationError(moderation),
+    policy,
+    moderation
   };
+}
+
+// Log a review refused by input moderation; nothing is generated or charged
+function recordBlockedInput(user, generation) {
+  return recordGeneration(user, generation, {
+    candidates: [{ responseText: '', tokensUsed: 0, cost: 0, fallback: false }],
+    chargedRequests: 0,
+    duration: 0,
+    errorMessage: moderationError(generation.moderation)
+  });
+}
+
+// Update usage, log one ApiCall per candidate and spend credits for requests over
+// monthlyLimit, in a single transaction. kind is reply, or analysis for /analyze
+async function recordGeneration(user, generation, { kind = 'reply', candidates, chargedRequests, duration, variantGroup = null, errorMessage = null }) {
+  const { reviewText, language, languageDetected = false, tone, business, template, llm, redactions = {} } = generation;
+
+  return prisma.$transaction(async (tx) => {
+    // Update usage count
+    const usage = await tx.usage.upsert({
+      where: {
+        userId_month_year: {
+          userId: user.id,
+          month: new Date().getMonth(),
+          year: new Date().getFullYear()
+        }
+      },
+      update: {
+        requestCount: {
+          increment: chargedRequests
+        }
+      },
+      create: {
+        userId: user.id,
+        month: new Date().getMonth(),
+        year: new Date().getFullYear(),
+        requestCount: chargedRequests
+      }
+    });
 
-  return `Please write a ${tone} response to this customer review in ${languageNames[language]}.
+    // Custom templates track how often they are used
+    if (template && !template.isDefault) {
+      await tx.responseTemplate.update({
+        where: { id: template.id },
+        data: {
+          usageCount: {
+            increment: 1
+          }
+        }
+      });
+    }
 
-Review: "${reviewText}"
+    // Log one API call per candidate
+    const apiCalls = [];
+    for (const candidate of candidates) {
+      const verdict = buildVerdict(generation.moderation, candidate.moderation);
+
+      apiCalls.push(await tx.apiCall.create({
+        data: {
+          userId: user.id,
+          kind,
+          reviewText: reviewText.substring(0, 500),
+          // An analysis is stored whole: cut short, its JSON would no longer parse
+          responseText: kind === 'analysis' ? candidate.responseText : candidate.responseText.substring(0, 2000),
+          language,
+          languageDetected,
+          tone,
+          model: llm.model,
+          businessType: business.businessType,
+          templateId: template?.id || null,
+          variantGroup,
+          variantIndex: variantGroup ? candidate.variantIndex : null,
+          variantScore: variantGroup ? candidate.score : null,
+          tokensUsed: candidate.tokensUsed,
+          cost: candidate.cost,
+          duration,
+          success: !errorMessage && !candidate.fallback,
+          fallback: Boolean(candidate.fallback),
+          errorMessage: errorMessage || candidate.errorMessage || null,
+          redactions: Object.keys(redactions).length > 0 ? JSON.stringify(redactions) : null,
+          moderation: JSON.stringify(verdict),
+          moderationAction: verdict.action,
+          policyViolations: candidate.policy?.allowed === false ? JSON.stringify(candidate.policy.violations) : null
+        }
+      }));
+    }
 
-Instructions:
-- Respond entirely in ${languageNames[language]}
-- Use a ${tone} tone: ${toneInstructions[tone]}
-- Keep it concise (under 100 words)
-- Be genuine and helpful
-- Address specific points when relevant
-- Thank the customer for their feedback
-${businessName ? `- You represent ${businessName}` : ''}
-- Include a call to action when appropriate`;
+    const creditsUsed = await consumeCredits(tx, user.id, creditsNeeded(user.monthlyLimit, usage.requestCount - chargedRequests, usage.requestCount), {
+      reference: apiCalls[0].id
+    });
+
+    return { usage, apiCalls, creditsUsed };
+  });
+}
+
+// Rough token count (about 4 characters per token) for streams without a usage chunk
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
 }
 
-function generateFallbackResponse(reviewText, tone, language) {
-  const responses = {
-    en: {
-      professional: 'Thank you for your feedback. We appreciate you taking the time to share your experience with us.',
-      friendly: 'Thanks so much for your review! We really appreciate you sharing your thoughts with us.',
-      apologetic: 'We sincerely apologize for any inconvenience. Your feedback is important to us and we will work to improve.',
-      grateful: 'Thank you so much for your wonderful feedback! We truly appreciate your support.'
+// Run every unfinished item of a batch through batchQueue and settle the batch status
+async function processBatch(batchId) {
+  const batch = await prisma.batchJob.findUnique({
+    where: { id: batchId },
+    include: {
+      user: {
+        include: { businessProfile: true }
+      },
+      items: {
+        where: { status: { in: ['pending', 'processing'] } },
+        orderBy: { position: 'asc' }
+      }
     }
+  });
+
+  if (!batch) return;
+
+  const { user } = batch;
+  const options = JSON.parse(batch.options || '{}');
+  const business = resolveBusinessContext(user, options);
+  const template = options.templateId ? await findTemplate(prisma, user.id, options.templateId) : null;
+  const settings = await getSettings(prisma);
+  const llm = selectLlm(user.subscriptionPlan, settings);
+  const lengthLimits = lengthLimitsFor(business.responseLength, settings);
+  const styleExamples = await loadStyleExamples(prisma, user.id);
+
+  await prisma.batchJob.update({
+    where: { id: batch.id },
+    data: { status: 'processing' }
+  });
+
+  // Give back one of the requests reserved when the batch was created, credits first
+  const refundReservedRequest = async (tx) => {
+    await tx.usage.updateMany({
+      where: {
+        userId: user.id,
+        month: batch.createdAt.getMonth(),
+        year: batch.createdAt.getFullYear()
+      },
+      data: { requestCount: { decrement: 1 } }
+    });
+    await refundCredits(tx, user.id, batch.id, 1);
   };
 
-  return responses[language]?.[tone] || responses.en.professional;
+  await Promise.all(batch.items.map(item => batchQueue.push(async () => {
+    const { language, detected } = resolveLanguage(item.language, item.reviewText);
+    const redactions = JSON.parse(item.redactions || '{}');
+    const generation = {
+      reviewText: item.reviewText,
+      tone: item.tone,
+      language,
+      languageDetected: detected,
+      business,
+      template,
+      redactions,
+      llm,
+      temperature: settings.temperature,
+      systemPrompt: settings.systemPrompt
+    };
+
+    try {
+      await prisma.batchItem.update({
+        where: { id: item.id },
+        data: { status: 'processing' }
+      });
+
+      generation.moderation = await moderateText(item.reviewText, { stage: 'input' });
+      if (generation.moderation.blocked) {
+        await recordBlockedInput(user, generation);
+        throw new Error(moderationError(generation.moderation));
+      }
+
+      const startTime = Date.now();
+      const prompt = buildResponsePrompt(item.reviewText, item.tone, language, business, template, {
+        languageDetected: detected,
+        redactions,
+        moderation: generation.moderation,
+        examples: selectStyleExamples(styleExamples, { language, tone: item.tone })
+      });
+      const draft = await screenDraft(await requestCompletion(prompt, lengthLimits.maxTokens, generation), generation);
+
+      // Quota was reserved when the batch was created
+      const { apiCalls } = await recordGeneration(user, generation, {
+        candidates: [draft],
+        chargedRequests: 0,
+        duration: Date.now() - startTime
+      });
+
+      await prisma.$transaction(async (tx) => {
+        await tx.batchItem.update({
+          where: { id: item.id },
+          data: {
+            status: 'completed',
+            language,
+            responseText: draft.responseText,
+            fallback: draft.fallback,
+            apiCallId: apiCalls[0].id
+          }
+        });
+        await tx.batchJob.update({
+          where: { id: batch.id },
+          data: { completedItems: { increment: 1 } }
+        });
+        // Fallback replies are not charged
+        if (draft.fallback) {
+          await refundReservedRequest(tx);
+        }
+      });
+
+    } catch (error) {
+      console.error('Batch item error:', error);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.batchItem.update({
+          where: { id: item.id },
+          data: {
+            status: 'failed',
+            errorMessage: error.message.substring(0, 500)
+          }
+        });
+        await tx.batchJob.update({
+          where: { id: batch.id },
+          data: { failedItems: { increment: 1 } }
+        });
+        await refundReservedRequest(tx);
+      });
+    }
+  })));
+
+  const settled = await prisma.batchJob.findUnique({ where: { id: batch.id } });
+  const status = settled.failedItems === 0
+    ? 'completed'
+    : settled.completedItems === 0 ? 'failed' : 'partial';
+
+  await prisma.batchJob.update({
+    where: { id: batch.id },
+    data: {
+      status,
+      completedAt: new Date()
+    }
+  });
+}
+
+// Pick up batches interrupted by a restart; they run in the background, this only starts them
+async function resumeBatches() {
+  const unfinished = await prisma.batchJob.findMany({
+    where: { status: { in: ['queued', 'processing'] } },
+    select: { id: true }
+  });
+
+  for (const batch of unfinished) {
+    processBatch(batch.id).catch(error => {
+      console.error('Batch processing error:', error);
+    });
+  }
+}
+
+// credits: prepaid balance left after this request
+function buildUsageSummary(user, usage, charged, credits) {
+  return {
+    current: usage.requestCount,
+    limit: user.monthlyLimit,
+    remaining: user.monthlyLimit === -1 ? -1 : Math.max(0, user.monthlyLimit - usage.requestCount),
+    charged,
+    credits,
+    percentage: user.monthlyLimit === -1 ? 0 : Math.round((usage.requestCount / user.monthlyLimit) * 100)
+  };
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+// Started by server.js once it listens, so loading the router does not touch the database
+module.exports.resumeBatches = resumeBatches;
\ No newline at end of file
@@ -1,11 +1,122 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../lib/stripe');
 const { PrismaClient } = require('@prisma/client');
 const jwt = require('jsonwebtoken');
+const {
+  PLANS,
+  PLAN_IDS,
+  CREDIT_PACKS,
+  effectivePlan,
+  getEntitlements,
+  describePlanFeatures,
+  planForPrice,
+  transitionReason,
+  buildPlanUpdate,
+  applyPlanChange
+} = require('../lib/plans');
+const { getSettings } = require('../lib/settings');
+const { createWebhookHandler, retryStripeEvents } = require('../lib/stripe-webhooks');
+const { CREDIT_ENTRY_TYPES, getCreditBalance, expireCredits } = require('../lib/credits');
+const { findRedeemablePromo } = require('../lib/promo-codes');
+const { isTrialEligible, trialDaysFor, describeTrial, expireTrials } = require('../lib/trials');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// O previzualizare a schimbării de plan rămâne valabilă pentru confirmare atâta timp
+const PRORATION_PREVIEW_MAX_AGE_SECONDS = 30 * 60;
+
+// Motivele pentru care un cod promoțional nu poate fi folosit (lib/promo-codes.js)
+const PROMO_ERRORS = {
+  not_found: 'Cod promoțional invalid',
+  expired: 'Codul promoțional a expirat',
+  exhausted: 'Codul promoțional nu mai este disponibil',
+  wrong_plan: 'Codul promoțional nu se aplică acestui plan',
+  already_used: 'Ai folosit deja acest cod promoțional'
+};
+
+// Abonamentele noastre au un singur item, cu prețul planului
+const subscriptionItem = (subscription) => subscription.items.data[0];
+
+const periodEnd = (subscription) => new Date(subscription.current_period_end * 1000);
+
+// Renunță la un downgrade programat: abonamentul rămâne pe prețul curent
+async function releaseSchedule(subscription) {
+  if (subscription.schedule) {
+    await stripe.subscriptionSchedules.release(
+      typeof subscription.schedule === 'string' ? subscription.schedule : subscription.schedule.id
+    );
+  }
+}
+
+// Suma proporțională facturată acum pentru trecerea pe noul preț (în cenți)
+async function previewProration(subscription, priceId, prorationDate) {
+  const invoice = await stripe.invoices.retrieveUpcoming({
+    customer: subscription.customer,
+    subscription: subscription.id,
+    subscription_items: [{ id: subscriptionItem(subscription).id, price: priceId }],
+    subscription_proration_date: prorationDate,
+    subscription_proration_behavior: 'always_invoice'
+  });
+
+  return {
+    amountDue: invoice.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0),
+    currency: invoice.currency
+  };
+}
+
+// Downgrade la sfârșitul perioadei: faza curentă rămâne pe prețul actual, apoi noul preț
+async function scheduleDowngrade(subscription, priceId) {
+  await releaseSchedule(subscription);
+
+  const schedule = await stripe.subscriptionSchedules.create({
+    from_subscription: subscription.id
+  });
+
+  await stripe.subscriptionSchedules.update(schedule.id, {
+    end_behavior: 'release',
+    proration_behavior: 'none',
+    phases: [
+      {
+        items: [{ price: subscriptionItem(subscription).price.id, quantity: 1 }],
+        start_date: schedule.phases[0].start_date,
+        end_date: subscription.current_period_end
+      },
+      {
+        items: [{ price: priceId, quantity: 1 }],
+        iterations: 1
+      }
+    ]
+  });
+}
+
+// Creează sau găsește customerul în Stripe
+async function ensureStripeCustomer(user) {
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: {
+      userId: user.id
+    }
+  });
+
+  // Actualizează utilizatorul cu ID-ul customerului
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { stripeCustomerId: customer.id }
+  });
+
+  return customer.id;
+}
+
 // Middleware pentru autentificare
 const authenticateToken = async (req, res, next) => {
   try {
@@ -39,115 +150,84 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Planurile disponibile
-const PLANS = {
-  basic: {
-    name: 'Basic',
-    price: 499, // în cents ($4.99)
-    currency: 'usd',
-    requests: 100, // ajustat pentru prețul mai mic
-    stripePriceId: process.env.STRIPE_BASIC_PRICE_ID || 'price_basic'
-  },
-  premium: {
-    name: 'Premium',
-    price: 1499, // în cents ($14.99)
-    currency: 'usd',
-    requests: 500, // ajustat pentru prețul mai mic
-    stripePriceId: process.env.STRIPE_PREMIUM_PRICE_ID || 'price_premium'
-  },
-  enterprise: {
-    name: 'Enterprise',
-    price: 4999, // în cents ($49.99)
-    currency: 'usd',
-    requests: 2000, // ajustat pentru prețul mai mic
-    stripePriceId: process.env.STRIPE_ENTERPRISE_PRICE_ID || 'price_enterprise'
-  }
-};
+// Planurile disponibile, din catalogul comun (lib/plans.js)
+router.get('/plans', async (req, res) => {
+  try {
+    const { planLimits, trialDays } = await getSettings(prisma);
+
+    const publicPlans = PLAN_IDS.map(id => {
+      const plan = PLANS[id];
+      return {
+        id,
+        name: plan.name,
+        price: plan.price,
+        currency: plan.currency,
+        requests: planLimits[id],
+        trialDays: trialDays[id] || 0,
+        entitlements: plan.entitlements,
+        features: describePlanFeatures(id, planLimits[id])
+      };
+    });
 
-// Obținerea planurilor disponibile
-router.get('/plans', (req, res) => {
-  const publicPlans = Object.entries(PLANS).map(([key, plan]) => ({
-    id: key,
-    name: plan.name,
-    price: plan.price,
-    currency: plan.currency,
-    requests: plan.requests,
-    features: getPlanFeatures(key)
-  }));
-
-  res.json({
-    plans: publicPlans
-  });
-});
+    const creditPacks = Object.entries(CREDIT_PACKS).map(([id, pack]) => ({
+      id,
+      name: pack.name,
+      credits: pack.credits,
+      price: pack.price,
+      currency: pack.currency,
+      validityDays: pack.validityDays
+    }));
 
-// Funcție helper pentru features
-function getPlanFeatures(planId) {
-  const features = {
-    free: [
-      '10 răspunsuri AI pe lună',
-      'Suport comunitate',
-      'Toate limbile disponibile'
-    ],
-    basic: [
-      '500 răspunsuri AI pe lună',
-      'Suport email',
-      'Istoricul răspunsurilor',
-      'Toate limbile și tonurile'
-    ],
-    premium: [
-      '2000 răspunsuri AI pe lună',
-      'Suport prioritar',
-      'Statistici avansate',
-      'Export date',
-      'Integrări API'
-    ],
-    enterprise: [
-      'Răspunsuri AI nelimitate',
-      'Suport telefonic 24/7',
-      'Manager dedicat',
-      'Customizări personalizate',
-      'SLA garantat'
-    ]
-  };
-  
-  return features[planId] || [];
-}
+    res.json({
+      plans: publicPlans,
+      creditPacks
+    });
+
+  } catch (error) {
+    console.error('Plans error:', error);
+    res.status(500).json({
+      error: 'Eroare la obținerea planurilor'
+    });
+  }
+});
 
-// Crearea unei sesiuni Checkout pentru abonament
+// Crearea unei sesiuni Checkout pentru abonament. Primul abonament începe cu o perioadă de
+// probă; promoCode este un cod al nostru (parteneri), codurile Stripe se introduc în Checkout.
 router.post('/create-checkout-session', authenticateToken, async (req, res) => {
   try {
-    const { planId } = req.body;
+    const { planId, promoCode } = req.body;
     const user = req.user;
 
-    if (!PLANS[planId]) {
+    // Doar planurile plătite au un preț în Stripe
+    if (!PLANS[planId]?.stripePriceId) {
       return res.status(400).json({
         error: 'Plan invalid'
       });
     }
 
-    const plan = PLANS[planId];
-
-    // Creează sau găsește customerul în Stripe
-    let stripeCustomerId = user.stripeCustomerId;
-    
-    if (!stripeCustomerId) {
-      const customer = await stripe.customers.create({
-        email: user.email,
-        name: user.name,
-        metadata: {
-          userId: user.id
-        }
-      });
-      
-      stripeCustomerId = customer.id;
-      
-      // Actualizează utilizatorul cu ID-ul customerului
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { stripeCustomerId }
+    // Un utilizator are un singur abonament; schimbarea planului se face prin /change-plan
+    if (user.stripeSubscriptionId) {
+      return res.status(409).json({
+        error: 'Ai deja un abonament activ. Folosește schimbarea planului'
       });
     }
 
+    let promo = null;
+    if (promoCode) {
+      const found = await findRedeemablePromo(prisma, promoCode, { planId, userId: user.id });
+      if (!found.promo) {
+        return res.status(400).json({
+          error: PROMO_ERRORS[found.reason]
+        });
+      }
+      promo = found.promo;
+    }
+
+    const plan = PLANS[planId];
+    const settings = await getSettings(prisma);
+    const trialDays = trialDaysFor(user, planId, settings, promo);
+    const stripeCustomerId = await ensureStripeCustomer(user);
+
     // Creează sesiunea Checkout
     const session = await stripe.checkout.sessions.create({
       customer: stripeCustomerId,
@@ -160,17 +240,28 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         },
       ],
       mode: 'subscription',
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancel`,
+      // Stripe nu acceptă un cupon fix împreună cu câmpul pentru coduri promoționale
+      ...(promo?.stripeCouponId
+        ? { discounts: [{ coupon: promo.stripeCouponId }] }
+        : { allow_promotion_codes: true }),
+      ...(trialDays > 0 && {
+        subscription_data: {
+          trial_period_days: trialDays
+        }
+      }),
+      success_url: `${FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${FRONTEND_URL}/cancel`,
       metadata: {
         userId: user.id,
-        planId: planId
+        planId: planId,
+        ...(promo && { promoCodeId: promo.id })
       }
     });
 
     res.json({
       checkoutUrl: session.url,
-      sessionId: session.id
+      sessionId: session.id,
+      trialDays
     });
 
   } catch (error) {
@@ -181,6 +272,127 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
   }
 });
 
+// Cumpărarea unui pachet de răspunsuri suplimentare (plată unică, Checkout în modul payment).
+// Creditele se adaugă din webhook-ul checkout.session.completed.
+router.post('/credits/checkout', authenticateToken, async (req, res) => {
+  try {
+    const { packId } = req.body;
+    const user = req.user;
+    const pack = CREDIT_PACKS[packId];
+
+    if (!pack) {
+      return res.status(400).json({
+        error: 'Pachet invalid'
+      });
+    }
+
+    // Planul nelimitat nu consumă niciodată credite
+    if (user.monthlyLimit === -1) {
+      return res.status(400).json({
+        error: 'Planul tău are deja răspunsuri nelimitate'
+      });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      customer: await ensureStripeCustomer(user),
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price: pack.stripePriceId,
+          quantity: 1,
+        },
+      ],
+      mode: 'payment',
+      success_url: `${FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${FRONTEND_URL}/cancel`,
+      metadata: {
+        userId: user.id,
+        packId
+      }
+    });
+
+    res.json({
+      checkoutUrl: session.url,
+      sessionId: session.id
+    });
+
+  } catch (error) {
+    console.error('Credits checkout error:', error);
+    res.status(500).json({
+      error: 'Eroare la crearea sesiunii de plată'
+    });
+  }
+});
+
+// Soldul de credite, pachetele active și istoricul mișcărilor (cele mai noi primele)
+router.get('/credits', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const where = { userId: user.id };
+
+    if (req.query.type) {
+      if (!CREDIT_ENTRY_TYPES.includes(req.query.type)) {
+        return res.status(400).json({
+          error: 'Tip de mișcare invalid'
+        });
+      }
+      where.type = req.query.type;
+    }
+
+    const now = new Date();
+    const [balance, grants, entries, totalCount] = await Promise.all([
+      getCreditBalance(prisma, user.id, now),
+      prisma.creditGrant.findMany({
+        where: { userId: user.id, remaining: { gt: 0 }, expiresAt: { gt: now } },
+        orderBy: { expiresAt: 'asc' }
+      }),
+      prisma.creditLedgerEntry.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: (page - 1) * limit
+      }),
+      prisma.creditLedgerEntry.count({ where })
+    ]);
+
+    res.json({
+      balance,
+      grants: grants.map(grant => ({
+        id: grant.id,
+        packId: grant.packId,
+        credits: grant.credits,
+        remaining: grant.remaining,
+        purchasedAt: grant.createdAt,
+        expiresAt: grant.expiresAt
+      })),
+      ledger: entries.map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter,
+        reference: entry.reference,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Credits error:', error);
+    res.status(500).json({
+      error: 'Eroare la obținerea creditelor'
+    });
+  }
+});
+
 // Verificarea statusului unei sesiuni Checkout
 router.get('/checkout-session/:sessionId', authenticateToken, async (req, res) => {
   try {
@@ -208,6 +420,178 @@ router.get('/checkout-session/:sessionId', authenticateToken, async (req, res) =
   }
 });
 
+// Schimbarea planului pe abonamentul existent. Fără confirm: true întoarce doar previzualizarea;
+// la confirmare se trimite înapoi prorationDate din previzualizare, ca suma facturată să fie
+// cea afișată. Upgrade-ul se aplică imediat (diferența proporțională se facturează acum),
+// downgrade-ul la sfârșitul perioadei de facturare. Planul curent anulează un downgrade programat.
+router.post('/change-plan', authenticateToken, async (req, res) => {
+  try {
+    const { planId, confirm = false } = req.body;
+    const user = req.user;
+
+    if (!PLANS[planId]?.stripePriceId) {
+      return res.status(400).json({
+        error: planId === 'free'
+          ? 'Pentru planul gratuit anulează abonamentul'
+          : 'Plan invalid'
+      });
+    }
+
+    if (!user.stripeSubscriptionId) {
+      return res.status(400).json({
+        error: 'Nu ai un abonament activ'
+      });
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(user.stripeSubscriptionId);
+
+    if (subscription.cancel_at_period_end) {
+      return res.status(400).json({
+        error: 'Reactivează abonamentul înainte de a schimba planul'
+      });
+    }
+
+    const currentPlan = planForPrice(subscriptionItem(subscription).price.id) || user.subscriptionPlan;
+    const newPrice = PLANS[planId].stripePriceId;
+
+    // Revenire la planul curent: doar renunțarea la downgrade-ul programat
+    if (planId === currentPlan) {
+      if (!subscription.schedule) {
+        return res.status(400).json({
+          error: 'Ești deja pe acest plan'
+        });
+      }
+
+      if (!confirm) {
+        return res.json({
+          preview: true,
+          change: 'cancel_scheduled',
+          plan: planId,
+          amountDue: 0
+        });
+      }
+
+      await releaseSchedule(subscription);
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { scheduledPlan: null, scheduledPlanAt: null }
+      });
+
+      return res.json({
+        message: 'Schimbarea programată a planului a fost anulată',
+        plan: planId
+      });
+    }
+
+    const change = transitionReason(currentPlan, planId);
+
+    if (change === 'downgrade') {
+      const effectiveAt = periodEnd(subscription);
+
+      if (!confirm) {
+        return res.json({
+          preview: true,
+          change,
+          plan: planId,
+          amountDue: 0,
+          nextAmount: PLANS[planId].price,
+          currency: PLANS[planId].currency,
+          effectiveAt
+        });
+      }
+
+      await scheduleDowngrade(subscription, newPrice);
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { scheduledPlan: planId, scheduledPlanAt: effectiveAt }
+      });
+
+      return res.json({
+        message: `Planul va fi schimbat în ${PLANS[planId].name} la sfârșitul perioadei de facturare`,
+        scheduledPlan: planId,
+        effectiveAt
+      });
+    }
+
+    // Upgrade
+    const now = Math.floor(Date.now() / 1000);
+    let prorationDate = now;
+
+    if (confirm && req.body.prorationDate !== undefined) {
+      prorationDate = Number(req.body.prorationDate);
+
+      if (!Number.isInteger(prorationDate) || prorationDate > now || now - prorationDate > PRORATION_PREVIEW_MAX_AGE_SECONDS) {
+        return res.status(400).json({
+          error: 'Previzualizarea a expirat. Reîncearcă schimbarea planului'
+        });
+      }
+    }
+
+    if (!confirm) {
+      const { amountDue, currency } = await previewProration(subscription, newPrice, prorationDate);
+
+      return res.json({
+        preview: true,
+        change,
+        plan: planId,
+        amountDue,
+        nextAmount: PLANS[planId].price,
+        currency,
+        prorationDate,
+        effectiveAt: new Date(prorationDate * 1000)
+      });
+    }
+
+    // Un downgrade programat anterior nu mai are sens după upgrade
+    await releaseSchedule(subscription);
+
+    // pending_if_incomplete: dacă plata diferenței eșuează, abonamentul rămâne pe planul vechi
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: subscriptionItem(subscription).id, price: newPrice }],
+      proration_behavior: 'always_invoice',
+      proration_date: prorationDate,
+      payment_behavior: 'pending_if_incomplete',
+      expand: ['latest_invoice']
+    });
+
+    if (updated.pending_update) {
+      return res.status(402).json({
+        error: 'Plata diferenței nu a reușit. Actualizează cardul din portalul de facturare',
+        invoiceUrl: updated.latest_invoice?.hosted_invoice_url || null
+      });
+    }
+
+    // Webhook-ul customer.subscription.updated face aceeași schimbare; aici o aplicăm imediat.
+    // Utilizatorul e recitit ca istoricul să nu dubleze o tranziție deja salvată de webhook.
+    const current = await prisma.user.findUnique({ where: { id: user.id } });
+    const { planLimits } = await getSettings(prisma);
+
+    const changed = await applyPlanChange(prisma, current, {
+      ...buildPlanUpdate(current, { plan: planId, subscriptionExpiresAt: periodEnd(updated) }, planLimits),
+      subscriptionStatus: 'active',
+      scheduledPlan: null,
+      scheduledPlanAt: null
+    }, {
+      reason: 'upgrade',
+      source: 'user'
+    });
+
+    res.json({
+      message: `Planul a fost schimbat în ${PLANS[planId].name}`,
+      plan: changed.subscriptionPlan,
+      monthlyLimit: changed.monthlyLimit,
+      amountCharged: updated.latest_invoice?.amount_paid ?? null,
+      entitlements: getEntitlements(changed)
+    });
+
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({
+      error: 'Eroare la schimbarea planului'
+    });
+  }
+});
+
 // Obținerea statusului abonamentului curent
 router.get('/status', authenticateToken, async (req, res) => {
   try {
@@ -227,18 +611,29 @@ router.get('/status', authenticateToken, async (req, res) => {
     });
 
     const isActive = user.subscriptionExpiresAt > new Date();
-    const planLimit = PLANS[user.subscriptionPlan]?.requests || 10;
+    // Aceeași limită ca /reviews/stats: cea salvată pe utilizator, care se și aplică
+    const planLimit = user.monthlyLimit;
+    const credits = await getCreditBalance(prisma, user.id);
 
     res.json({
       plan: user.subscriptionPlan,
       status: user.subscriptionStatus,
       isActive,
       expiresAt: user.subscriptionExpiresAt,
+      effectivePlan: effectivePlan(user),
+      entitlements: getEntitlements(user),
+      trial: describeTrial(user),
+      trialEligible: isTrialEligible(user),
       usage: {
         current: usage?.requestCount || 0,
         limit: planLimit,
-        remaining: planLimit === -1 ? -1 : Math.max(0, planLimit - (usage?.requestCount || 0))
+        remaining: planLimit === -1 ? -1 : Math.max(0, planLimit - (usage?.requestCount || 0)),
+        credits
       },
+      scheduledChange: user.scheduledPlan ? {
+        plan: user.scheduledPlan,
+        effectiveAt: user.scheduledPlanAt
+      } : null,
       billing: {
         stripeCustomerId: user.stripeCustomerId,
         subscriptionId: user.stripeSubscriptionId
@@ -264,6 +659,11 @@ router.post('/cancel', authenticateToken, async (req, res) => {
       });
     }
 
+    // Un downgrade programat nu mai are sens dacă abonamentul se încheie
+    if (user.scheduledPlan) {
+      await releaseSchedule(await stripe.subscriptions.retrieve(user.stripeSubscriptionId));
+    }
+
     // Anulează abonamentul în Stripe (la sfârșitul perioadei de facturare)
     await stripe.subscriptions.update(user.stripeSubscriptionId, {
       cancel_at_period_end: true
@@ -273,7 +673,9 @@ router.post('/cancel', authenticateToken, async (req, res) => {
     await prisma.user.update({
       where: { id: user.id },
       data: {
-        subscriptionStatus: 'cancelled'
+        subscriptionStatus: 'cancelled',
+        scheduledPlan: null,
+        scheduledPlanAt: null
       }
     });
 
@@ -327,159 +729,71 @@ router.post('/reactivate', authenticateToken, async (req, res) => {
   }
 });
 
-// Webhook pentru evenimente Stripe
-router.post('/webhook', 
-  express.raw({ type: 'application/json' }), 
-  async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    let event;
-
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.body, 
-        sig, 
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-    } catch (err) {
-      console.log('Webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
+// Portalul de facturare Stripe: card, adresă de facturare și facturi
+router.post('/billing-portal', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.stripeCustomerId) {
+      return res.status(400).json({
+        error: 'Nu ai încă un cont de facturare'
+      });
     }
 
-    try {
-      switch (event.type) {
-        case 'checkout.session.completed':
-          await handleCheckoutCompleted(event.data.object);
-          break;
-          
-        case 'invoice.payment_succeeded':
-          await handlePaymentSucceeded(event.data.object);
-          break;
-          
-        case 'invoice.payment_failed':
-          await handlePaymentFailed(event.data.object);
-          break;
-          
-        case 'customer.subscription.updated':
-          await handleSubscriptionUpdated(event.data.object);
-          break;
-          
-        case 'customer.subscription.deleted':
-          await handleSubscriptionDeleted(event.data.object);
-          break;
-          
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
+    const session = await stripe.billingPortal.sessions.create({
+      customer: user.stripeCustomerId,
+      return_url: `${FRONTEND_URL}/account`
+    });
 
-      res.json({ received: true });
-      
-    } catch (error) {
-      console.error('Webhook processing error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
-  }
-);
-
-// Handler functions pentru webhook-uri
-async function handleCheckoutCompleted(session) {
-  const userId = session.metadata.userId;
-  const planId = session.metadata.planId;
-  
-  const subscription = await stripe.subscriptions.retrieve(session.subscription);
-  
-  await prisma.user.update({
-    where: { id: userId },
-    data: {
-      subscriptionPlan: planId,
-      subscriptionStatus: 'active',
-      subscriptionExpiresAt: new Date(subscription.current_period_end * 1000),
-      stripeSubscriptionId: subscription.id
-    }
-  });
-}
+    res.json({
+      portalUrl: session.url
+    });
 
-async function handlePaymentSucceeded(invoice) {
-  if (invoice.subscription) {
-    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-    const customer = await stripe.customers.retrieve(subscription.customer);
-    
-    const user = await prisma.user.findFirst({
-      where: { stripeCustomerId: customer.id }
+  } catch (error) {
+    console.error('Billing portal error:', error);
+    res.status(500).json({
+      error: 'Eroare la deschiderea portalului de facturare'
     });
-    
-    if (user) {
-      await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          subscriptionStatus: 'active',
-          subscriptionExpiresAt: new Date(subscription.current_period_end * 1000)
-        }
-      });
-    }
   }
-}
+});
 
-async function handlePaymentFailed(invoice) {
-  if (invoice.subscription) {
-    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-    const customer = await stripe.customers.retrieve(subscription.customer);
-    
-    const user = await prisma.user.findFirst({
-      where: { stripeCustomerId: customer.id }
+// Webhook pentru evenimente Stripe. Body-ul brut vine din express.raw, montat în server.js
+// înaintea express.json; evenimentele sunt salvate în StripeEvent și procesate o singură dată.
+router.post('/webhook', createWebhookHandler({
+  prisma,
+  stripe,
+  secret: process.env.STRIPE_WEBHOOK_SECRET
+}));
+
+// Intervalele sarcinilor periodice
+const STRIPE_RETRY_INTERVAL_MS = 60 * 1000;
+const CREDIT_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+const TRIAL_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// Pornește sarcinile periodice; apelată din server.js după listen, ca încărcarea routerului
+// (teste, scripturi) să nu atingă baza de date
+function startBackgroundJobs() {
+  // Reîncearcă periodic evenimentele eșuate
+  setInterval(() => {
+    retryStripeEvents(prisma, stripe).catch(error => {
+      console.error('Stripe event retry error:', error);
     });
-    
-    if (user) {
-      await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          subscriptionStatus: 'past_due'
-        }
-      });
-    }
-  }
-}
+  }, STRIPE_RETRY_INTERVAL_MS).unref();
 
-async function handleSubscriptionUpdated(subscription) {
-  const customer = await stripe.customers.retrieve(subscription.customer);
-  
-  const user = await prisma.user.findFirst({
-    where: { stripeCustomerId: customer.id }
-  });
-  
-  if (user) {
-    let status = subscription.status;
-    if (subscription.cancel_at_period_end) {
-      status = 'cancelled';
-    }
-    
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        subscriptionStatus: status,
-        subscriptionExpiresAt: new Date(subscription.current_period_end * 1000)
-      }
+  // Creditele expirate sunt scoase din pachete și trecute în istoric
+  setInterval(() => {
+    expireCredits(prisma).catch(error => {
+      console.error('Credit expiry error:', error);
     });
-  }
-}
+  }, CREDIT_EXPIRY_INTERVAL_MS).unref();
 
-async function handleSubscriptionDeleted(subscription) {
-  const customer = await stripe.customers.retrieve(subscription.customer);
-  
-  const user = await prisma.user.findFirst({
-    where: { stripeCustomerId: customer.id }
-  });
-  
-  if (user) {
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        subscriptionPlan: 'free',
-        subscriptionStatus: 'cancelled',
-        subscriptionExpiresAt: new Date(),
-        stripeSubscriptionId: null
-      }
+  // Perioadele de probă neconvertite trec pe planul gratuit fără intervenție manuală
+  setInterval(() => {
+    expireTrials(prisma).catch(error => {
+      console.error('Trial expiry error:', error);
     });
-  }
+  }, TRIAL_EXPIRY_INTERVAL_MS).unref();
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.startBackgroundJobs = startBackgroundJobs;
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+// scripts/manage.js - Account management from the command line
+//
+// Usage: node scripts/manage.js <command> [options]   (or: npm run manage -- <command> ...)
+//
+//   create-user       --email <email> --name <name> [--role user|admin] [--plan <plan>]
+//                     [--business-name <name>] [--business-type <type>] [--expires-at <date>]
+//                     [--generate-password]
+//   set-plan          <email> [--plan <plan>] [--monthly-limit <n>] [--expires-at <date>]
+//   reset-usage       <email>
+//   list-users        [--search <text>] [--plan <plan>] [--role user|admin] [--inactive] [--limit <n>]
+//   deactivate        <email>
+//   reactivate        <email>
+//   export-user-data  <email> [--output <file>]
+//
+// Without --generate-password, create-user asks for the password on the terminal;
+// passwords are never accepted as arguments, so they stay out of shell history.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { PLAN_IDS, buildPlanUpdate, applyPlanChange } = require('../lib/plans');
+const { BUSINESS_TYPES } = require('../lib/business');
+const { getSettings } = require('../lib/settings');
+const { settleTrial } = require('../lib/trials');
+
+const prisma = new PrismaClient();
+
+const ROLES = ['user', 'admin'];
+const MIN_PASSWORD_LENGTH = 6; // same rule as /api/auth/register
+
+class UsageError extends Error {}
+
+function requireOne(value, allowed, flag) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new UsageError(`Invalid ${flag} "${value}". Expected one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parseDate(value, flag) {
+  if (value === undefined) return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`Invalid ${flag} "${value}". Expected a date such as 2026-12-31`);
+  }
+  return date;
+}
+
+function parseLimit(value, flag) {
+  if (value === undefined) return undefined;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < -1) {
+    throw new UsageError(`Invalid ${flag} "${value}". Expected an integer, -1 for unlimited`);
+  }
+  return limit;
+}
+
+// Same validation and normalisation as /api/auth/register and /login, so lookups match
+async function normalizeEmail(email) {
+  const req = { body: { email } };
+  await body('email').isEmail().normalizeEmail().run(req);
+
+  if (!validationResult(req).isEmpty()) {
+    throw new UsageError(`Invalid email "${email}"`);
+  }
+  return req.body.email;
+}
+
+async function findUserByEmail(email) {
+  if (!email) {
+    throw new UsageError('Missing <email> argument');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email: await normalizeEmail(email) }
+  });
+
+  if (!user) {
+    throw new UsageError(`No user with email ${email}`);
+  }
+  return user;
+}
+
+function currentPeriod() {
+  return {
+    month: new Date().getMonth(),
+    year: new Date().getFullYear()
+  };
+}
+
+// Read a line without echoing it
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true
+    });
+
+    let muted = false;
+    // readline has no public option to hide input; swallow everything echoed after the question
+    rl._writeToOutput = (text) => {
+      if (!muted) process.stdout.write(text);
+    };
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function askPassword() {
+  if (!process.stdin.isTTY) {
+    throw new UsageError('No terminal to ask for a password; use --generate-password');
+  }
+
+  const password = await promptHidden('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new UsageError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const confirmation = await promptHidden('Repeat password: ');
+  if (confirmation !== password) {
+    throw new UsageError('Passwords do not match');
+  }
+
+  return password;
+}
+
+const commands = {
+  async 'create-user'(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        email: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', default: 'user' },
+        plan: { type: 'string', default: 'free' },
+        'business-name': { type: 'string' },
+        'business-type': { type: 'string' },
+        'expires-at': { type: 'string' },
+        'generate-password': { type: 'boolean', default: false }
+      }
+    });
+
+    if (!values.email) {
+      throw new UsageError('--email is required');
+    }
+    if (!values.name || values.name.trim().length < 2) {
+      throw new UsageError('--name is required (at least 2 characters)');
+    }
+    requireOne(values.role, ROLES, '--role');
+    requireOne(values.plan, PLAN_IDS, '--plan');
+    requireOne(values['business-type'], Object.keys(BUSINESS_TYPES), '--business-type');
+    const expiresAt = parseDate(values['expires-at'], '--expires-at');
+
+    const email = await normalizeEmail(values.email);
+    if (await prisma.user.findUnique({ where: { email } })) {
+      throw new UsageError(`A user with email ${email} already exists`);
+    }
+
+    const password = values['generate-password']
+      ? crypto.randomBytes(12).toString('base64url')
+      : await askPassword();
+    const { planLimits } = await getSettings(prisma);
+
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          email,
+          password: await bcrypt.hash(password, 12),
+          name: values.name.trim(),
+          businessName: values['business-name'] || null,
+          role: values.role,
+          subscriptionPlan: values.plan,
+          subscriptionStatus: 'active',
+          monthlyLimit: planLimits[values.plan],
+          emailVerified: true,
+          ...(values.plan !== 'free' && {
+            subscriptionExpiresAt: expiresAt || new Date(new Date().setMonth(new Date().getMonth() + 1))
+          })
+        }
+      });
+
+      await tx.usage.create({
+        data: {
+          userId: created.id,
+          ...currentPeriod(),
+          requestCount: 0
+        }
+      });
+
+      if (values['business-type']) {
+        await tx.businessProfile.create({
+          data: {
+            userId: created.id,
+            businessType: values['business-type'],
+            businessName: values['business-name'] || values.name.trim()
+          }
+        });
+      }
+
+      return created;
+    });
+
+    console.log(`Created ${user.role} ${user.email} (${user.id}) on the ${user.subscriptionPlan} plan`);
+    if (values['generate-password']) {
+      // Shown once; it is not stored anywhere in plain text
+      console.log(`Generated password: ${password}`);
+    }
+  },
+
+  async 'set-plan'(args) {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        plan: { type: 'string' },
+        'monthly-limit': { type: 'string' },
+        'expires-at': { type: 'string' }
+      }
+    });
+
+    const changes = {
+      plan: requireOne(values.plan, PLAN_IDS, '--plan'),
+      monthlyLimit: parseLimit(values['monthly-limit'], '--monthly-limit'),
+      subscriptionExpiresAt: parseDate(values['expires-at'], '--expires-at')
+    };
+
+    if (Object.values(changes).every(value => value === undefined)) {
+      throw new UsageError('Provide --plan, --monthly-limit or --expires-at');
+    }
+
+    const user = await findUserByEmail(positionals[0]);
+    const { planLimits } = await getSettings(prisma);
+    const updated = await applyPlanChange(prisma, user, {
+      ...buildPlanUpdate(user, changes, planLimits),
+      // A plan set by hand is not reverted by the trial expiry sweep
+      ...(changes.plan !== undefined && settleTrial(user))
+    }, {
+      reason: 'admin_override',
+      source: 'cli'
+    });
+
+    const limit = updated.monthlyLimit === -1 ? 'unlimited' : updated.monthlyLimit;
+    console.log(`${updated.email}: ${updated.subscriptionPlan} plan, ${limit} requests/month, expires ${updated.subscriptionExpiresAt.toISOString()}`);
+  },
+
+  async 'reset-usage'(args) {
+    const { positionals } = parseArgs({ args, allowPositionals: true });
+    const user = await findUserByEmail(positionals[0]);
+    const period = currentPeriod();
+
+    await prisma.usage.upsert({
+      where: {
+        userId_month_year: {
+          userId: user.id,
+          ...period
+        }
+      },
+      update: { requestCount: 0 },
+      create: {
+        userId: user.id,
+        ...period,
+        requestCount: 0
+      }
+    });
+
+    console.log(`${user.email}: usage for ${period.year}-${String(period.month + 1).padStart(2, '0')} reset to 0`);
+  },
+
+  async 'list-users'(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        search: { type: 'string' },
+        plan: { type: 'string' },
+        role: { type: 'string' },
+        inactive: { type: 'boolean', default: false },
+        limit: { type: 'string', default: '50' }
+      }
+    });
+
+    requireOne(values.plan, PLAN_IDS, '--plan');
+    requireOne(values.role, ROLES, '--role');
+    const limit = parseLimit(values.limit, '--limit');
+
+    const where = {};
+    if (values.plan) where.subscriptionPlan = values.plan;
+    if (values.role) where.role = values.role;
+    if (values.inactive) where.isActive = false;
+    if (values.search) {
+      where.OR = [
+        { email: { contains: values.search } },
+        { name: { contains: values.search } },
+        { businessName: { contains: values.search } }
+      ];
+    }
+
+    const users = await prisma.user.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit > 0 ? limit : undefined,
+      include: {
+        usage: {
+          where: currentPeriod()
+        }
+      }
+    });
+
+    console.table(users.map(user => ({
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      plan: user.subscriptionPlan,
+      usage: `${user.usage[0]?.requestCount || 0}/${user.monthlyLimit === -1 ? '∞' : user.monthlyLimit}`,
+      active: user.isActive,
+      created: user.createdAt.toISOString().slice(0, 10)
+    })));
+  },
+
+  async deactivate(args) {
+    const { positionals } = parseArgs({ args, allowPositionals: true });
+    const user = await findUserByEmail(positionals[0]);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { isActive: false }
+    });
+
+    console.log(`${user.email} deactivated`);
+  },
+
+  async reactivate(args) {
+    const { positionals } = parseArgs({ args, allowPositionals: true });
+    const user = await findUserByEmail(positionals[0]);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { isActive: true }
+    });
+
+    console.log(`${user.email} reactivated`);
+  },
+
+  // Everything stored about one account, as JSON (data access requests)
+  async 'export-user-data'(args) {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string' }
+      }
+    });
+
+    const { id } = await findUserByEmail(positionals[0]);
+    const { password, verificationToken, ...user } = await prisma.user.findUnique({
+      where: { id },
+      include: {
+        businessProfile: true,
+        responseTemplates: true,
+        usage: { orderBy: [{ year: 'asc' }, { month: 'asc' }] },
+        apiCalls: { orderBy: { createdAt: 'asc' } },
+        batchJobs: {
+          include: { items: { orderBy: { position: 'asc' } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        feedback: { orderBy: { createdAt: 'asc' } },
+        subscriptionHistory: { orderBy: { createdAt: 'asc' } },
+        creditGrants: { orderBy: { createdAt: 'asc' } },
+        creditLedger: { orderBy: { createdAt: 'asc' } },
+        promoRedemptions: {
+          include: { promoCode: { select: { code: true, description: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    const json = JSON.stringify({ exportedAt: new Date(), user }, null, 2);
+
+    if (values.output) {
+      fs.writeFileSync(values.output, json);
+      console.log(`${user.email}: data written to ${values.output}`);
+    } else {
+      console.log(json);
+    }
+  }
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/manage.js <command> [options]\nCommands: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command](args);
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      console.error('Error:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { commands };
@@ -22,10 +22,15 @@ const globalLimiter = rateLimit({
   max: 100, // maxim 100 requests per IP per 15 minute
   message: {
     error: 'Prea multe cereri. Încearcă din nou în 15 minute.'
-  }
+  },
+  // Stripe trimite evenimentele de pe puține IP-uri; livrările respinse ar fi doar reîncercate
+  skip: (req) => req.path === '/api/subscriptions/webhook'
 });
 app.use(globalLimiter);
 
+// Webhook-ul Stripe verifică semnătura pe body-ul brut, deci trebuie parsat înaintea JSON-ului
+app.use('/api/subscriptions/webhook', express.raw({ type: 'application/json' }));
+
 // Parsare JSON
 app.use(express.json({ limit: '10mb' }));
 
@@ -52,12 +57,16 @@ const authRoutes = require('./routes/auth');
 const reviewRoutes = require('./routes/reviews');
 const subscriptionRoutes = require('./routes/subscriptions');
 const businessRoutes = require('./routes/business');
+const adminRoutes = require('./routes/admin');
+const feedbackRoutes = require('./routes/feedback');
 
 // Folosește rutele
 app.use('/api/auth', authRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/business', businessRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feedback', feedbackRoutes);
 
 // Middleware pentru gestionarea erorilor
 app.use((err, req, res, next) => {
@@ -98,6 +107,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Serverul rulează pe portul ${PORT}`);
   console.log(`🌍 Accesează: http://localhost:${PORT}`);
   console.log(`📚 Health check: http://localhost:${PORT}/health`);
+
+  // Reia loturile de generare întrerupte de o repornire
+  reviewRoutes.resumeBatches().catch(error => {
+    console.error('Resume batches error:', error);
+  });
+
+  // Reîncercarea evenimentelor Stripe și expirarea creditelor și a perioadelor de probă
+  subscriptionRoutes.startBackgroundJobs();
 });
 
 // Graceful shutdown
@@ -0,0 +1,197 @@
+// Batch generation: background processing, refunds of failed items and resuming after a restart
+//
+// Runs routes/reviews.js against the mock LLM provider and local moderation, with the Prisma
+// client replaced by the in-memory stand-in of tests/helpers.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'mock';
+process.env.MODERATION_PROVIDER = 'local';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+const mockPrisma = createTestPrisma();
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const reviewRoutes = require('../routes/reviews');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTLED = ['completed', 'partial', 'failed'];
+
+describe('Batch generation', () => {
+  const prisma = mockPrisma;
+  let server, baseUrl, token;
+
+  const api = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const batchRow = (id) => prisma.tables.batchJob.find(row => row.id === id);
+  const itemsOf = (id) => prisma.tables.batchItem.filter(row => row.batchId === id).sort((a, b) => a.position - b.position);
+  const requestCount = () => prisma.tables.usage[0]?.requestCount ?? 0;
+
+  // Items run in the background; wait until the batch is settled
+  const settled = async (id) => {
+    for (let attempt = 0; attempt < 200 && !SETTLED.includes(batchRow(id).status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return batchRow(id);
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/reviews', reviewRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/reviews`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    prisma.reset();
+    prisma.tables.user.push({
+      id: 'user_1',
+      email: 'owner@casamia.ro',
+      role: 'user',
+      isActive: true,
+      subscriptionPlan: 'premium',
+      subscriptionStatus: 'active',
+      subscriptionExpiresAt: new Date(Date.now() + 30 * DAY_MS),
+      monthlyLimit: 500
+    });
+    token = jwt.sign({ userId: 'user_1' }, process.env.JWT_SECRET);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('every item of a batch is answered in the background', async () => {
+    const response = await api('POST', '/batch', {
+      tone: 'friendly',
+      reviews: [
+        { reviewText: 'Lovely dinner, the staff was great.', externalId: 'g-1' },
+        { reviewText: 'Good pizza but the wait was long.', externalId: 'g-2' },
+        { reviewText: 'Nice terrace and friendly service.', externalId: 'g-3', tone: 'grateful' }
+      ]
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body.usage).toMatchObject({ reserved: 3, current: 3, creditsReserved: 0 });
+
+    const batch = await settled(response.body.batch.id);
+    expect(batch).toMatchObject({ status: 'completed', completedItems: 3, failedItems: 0 });
+
+    const { body } = await api('GET', `/batch/${batch.id}`);
+    expect(body.batch).toMatchObject({ status: 'completed', pendingItems: 0 });
+    expect(body.items.map(item => [item.externalId, item.status, item.tone])).toEqual([
+      ['g-1', 'completed', 'friendly'],
+      ['g-2', 'completed', 'friendly'],
+      ['g-3', 'completed', 'grateful']
+    ]);
+    body.items.forEach(item => {
+      expect(item.response).toEqual(expect.any(String));
+      expect(item.fallback).toBe(false);
+    });
+
+    // Quota was reserved up front; processing logs the calls without charging again
+    expect(requestCount()).toBe(3);
+    expect(prisma.tables.apiCall).toHaveLength(3);
+    expect(prisma.tables.apiCall.every(call => call.model === 'mock-1' && call.success)).toBe(true);
+  });
+
+  test('a failed item gives back its reserved request, credits first', async () => {
+    // One request left this month, the rest of the batch is paid with credits
+    prisma.tables.user[0].monthlyLimit = 2;
+    prisma.tables.usage.push({ id: 'usage_1', userId: 'user_1', month: new Date().getMonth(), year: new Date().getFullYear(), requestCount: 1 });
+    prisma.tables.creditGrant.push({
+      id: 'grant_1',
+      userId: 'user_1',
+      packId: 'credits_50',
+      credits: 5,
+      remaining: 5,
+      reference: 'cs_credits',
+      expiresAt: new Date(Date.now() + 30 * DAY_MS),
+      createdAt: new Date()
+    });
+
+    const response = await api('POST', '/batch', {
+      reviews: [
+        { reviewText: 'Lovely dinner, the staff was great.' },
+        { reviewText: 'If this happens again I will burn this place down.' },
+        { reviewText: 'Nice terrace and friendly service.' }
+      ]
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body.usage).toMatchObject({ reserved: 3, current: 4, creditsReserved: 2, credits: 3 });
+
+    const batch = await settled(response.body.batch.id);
+    expect(batch).toMatchObject({ status: 'partial', completedItems: 2, failedItems: 1 });
+    expect(itemsOf(batch.id)[1]).toMatchObject({ status: 'failed', errorMessage: expect.stringMatching(/^Blocked by moderation/) });
+
+    expect(requestCount()).toBe(3);
+    expect(prisma.tables.creditGrant[0].remaining).toBe(4);
+    expect(prisma.tables.creditLedgerEntry.map(({ type, amount, reference }) => ({ type, amount, reference }))).toEqual([
+      { type: 'consume', amount: -2, reference: batch.id },
+      { type: 'refund', amount: 1, reference: batch.id }
+    ]);
+  });
+
+  test('batches interrupted by a restart wait for resumeBatches, which finishes them', async () => {
+    const createdAt = new Date();
+    prisma.tables.batchJob.push({
+      id: 'batch_1',
+      userId: 'user_1',
+      status: 'processing',
+      options: JSON.stringify({}),
+      totalItems: 3,
+      completedItems: 1,
+      failedItems: 0,
+      completedAt: null,
+      createdAt
+    });
+    ['completed', 'processing', 'pending'].forEach((status, position) => prisma.tables.batchItem.push({
+      id: `item_${position}`,
+      batchId: 'batch_1',
+      position,
+      externalId: null,
+      reviewText: `Review number ${position + 1}, the food was good.`,
+      redactions: null,
+      tone: 'professional',
+      language: 'auto',
+      status,
+      responseText: status === 'completed' ? 'Answered before the restart' : null,
+      fallback: false,
+      apiCallId: null,
+      errorMessage: null,
+      createdAt
+    }));
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(itemsOf('batch_1').map(item => item.status)).toEqual(['completed', 'processing', 'pending']);
+
+    await reviewRoutes.resumeBatches();
+
+    const batch = await settled('batch_1');
+    expect(batch).toMatchObject({ status: 'completed', completedItems: 3, failedItems: 0 });
+    expect(itemsOf('batch_1').map(item => item.status)).toEqual(['completed', 'completed', 'completed']);
+    expect(itemsOf('batch_1')[0].responseText).toBe('Answered before the restart');
+    expect(prisma.tables.apiCall).toHaveLength(2);
+  });
+});
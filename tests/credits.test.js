@@ -0,0 +1,131 @@
+// Prepaid credits: what they are spent on, in which order, refunds, expiry and grants (lib/credits.js)
+
+const {
+  getCreditBalance,
+  creditsNeeded,
+  grantCredits,
+  consumeCredits,
+  refundCredits,
+  expireCredits
+} = require('../lib/credits');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('credits', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+  const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+  let prisma;
+
+  const addGrant = (id, fields) => prisma.tables.creditGrant.push({
+    id,
+    userId: 'user_1',
+    packId: 'credits_50',
+    credits: 50,
+    remaining: 50,
+    reference: `cs_${id}`,
+    createdAt: new Date(now.getTime() - DAY_MS),
+    ...fields
+  });
+  const grant = (id) => prisma.tables.creditGrant.find(row => row.id === id);
+  const ledger = () => prisma.tables.creditLedgerEntry.map(({ grantId, type, amount, balanceAfter, reference }) =>
+    ({ grantId, type, amount, balanceAfter, reference }));
+
+  beforeEach(() => {
+    prisma = createTestPrisma();
+  });
+
+  describe('creditsNeeded', () => {
+    test('requests within monthlyLimit cost nothing', () => {
+      expect(creditsNeeded(10, 0, 5)).toBe(0);
+      expect(creditsNeeded(10, 5, 10)).toBe(0);
+    });
+
+    test('only the part of a request over monthlyLimit costs credits', () => {
+      expect(creditsNeeded(10, 9, 12)).toBe(2);
+      expect(creditsNeeded(10, 12, 15)).toBe(3);
+    });
+
+    test('unlimited plans never spend credits', () => {
+      expect(creditsNeeded(-1, 1000, 1005)).toBe(0);
+    });
+  });
+
+  test('a generation past monthlyLimit draws the excess from credits', async () => {
+    addGrant('grant_a', { expiresAt: inDays(30) });
+
+    // Usage goes from 9 to 12 on a limit of 10: two requests fall over the quota
+    const spent = await consumeCredits(prisma, 'user_1', creditsNeeded(10, 9, 12), { reference: 'call_1', now });
+
+    expect(spent).toBe(2);
+    expect(await getCreditBalance(prisma, 'user_1', now)).toBe(48);
+    expect(ledger()).toEqual([
+      { grantId: 'grant_a', type: 'consume', amount: -2, balanceAfter: 48, reference: 'call_1' }
+    ]);
+  });
+
+  test('credits come from the grant that expires first', async () => {
+    addGrant('grant_late', { expiresAt: inDays(300), createdAt: new Date(now.getTime() - 2 * DAY_MS) });
+    addGrant('grant_soon', { expiresAt: inDays(20), remaining: 3 });
+
+    const spent = await consumeCredits(prisma, 'user_1', 5, { reference: 'call_1', now });
+
+    expect(spent).toBe(5);
+    expect(grant('grant_soon').remaining).toBe(0);
+    expect(grant('grant_late').remaining).toBe(48);
+    expect(ledger()).toEqual([
+      { grantId: 'grant_soon', type: 'consume', amount: -3, balanceAfter: 50, reference: 'call_1' },
+      { grantId: 'grant_late', type: 'consume', amount: -2, balanceAfter: 48, reference: 'call_1' }
+    ]);
+  });
+
+  test('expired and other users\' grants are never spent', async () => {
+    addGrant('grant_expired', { expiresAt: inDays(-1) });
+    addGrant('grant_other', { userId: 'user_2', expiresAt: inDays(30) });
+
+    expect(await consumeCredits(prisma, 'user_1', 1, { now })).toBe(0);
+    expect(prisma.tables.creditLedgerEntry).toHaveLength(0);
+  });
+
+  test('a failed batch item gets its reserved credit back', async () => {
+    addGrant('grant_a', { expiresAt: inDays(30) });
+    await consumeCredits(prisma, 'user_1', 3, { reference: 'batch_1', now });
+
+    expect(await refundCredits(prisma, 'user_1', 'batch_1', 1, { now })).toBe(1);
+    expect(grant('grant_a').remaining).toBe(48);
+    expect(ledger()[1]).toEqual({ grantId: 'grant_a', type: 'refund', amount: 1, balanceAfter: 48, reference: 'batch_1' });
+
+    // Never more than was spent under the reference, refunds included
+    expect(await refundCredits(prisma, 'user_1', 'batch_1', 5, { now })).toBe(2);
+    expect(await refundCredits(prisma, 'user_1', 'batch_1', 1, { now })).toBe(0);
+    expect(await getCreditBalance(prisma, 'user_1', now)).toBe(50);
+  });
+
+  test('expired grants are zeroed and logged with the balance that is left', async () => {
+    addGrant('grant_expired', { expiresAt: inDays(-1), remaining: 20 });
+    addGrant('grant_active', { expiresAt: inDays(30) });
+
+    expect(await expireCredits(prisma, now)).toBe(1);
+    expect(grant('grant_expired').remaining).toBe(0);
+    expect(grant('grant_active').remaining).toBe(50);
+    expect(ledger()).toEqual([
+      { grantId: 'grant_expired', type: 'expire', amount: -20, balanceAfter: 50, reference: null }
+    ]);
+
+    // Nothing left to expire on the next run
+    expect(await expireCredits(prisma, now)).toBe(0);
+    expect(prisma.tables.creditLedgerEntry).toHaveLength(1);
+  });
+
+  test('granting the same Checkout session twice gives one grant', async () => {
+    const first = await grantCredits(prisma, 'user_1', 'credits_200', { reference: 'cs_paid', now });
+    const second = await grantCredits(prisma, 'user_1', 'credits_200', { reference: 'cs_paid', now });
+
+    expect(second.id).toBe(first.id);
+    expect(prisma.tables.creditGrant).toHaveLength(1);
+    expect(first).toMatchObject({ credits: 200, remaining: 200, expiresAt: inDays(365) });
+    expect(ledger()).toEqual([
+      { grantId: first.id, type: 'purchase', amount: 200, balanceAfter: 200, reference: 'cs_paid' }
+    ]);
+  });
+});
@@ -0,0 +1,213 @@
+// Full /generate and /analyze flows against the mock LLM provider (LLM_PROVIDER=mock)
+//
+// No network or API key: replies come from lib/llm/mock.js, moderation uses the local
+// lexicon and the Prisma client is the in-memory stand-in of tests/helpers.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'mock';
+process.env.MODERATION_PROVIDER = 'local';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+const mockPrisma = createTestPrisma();
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const reviewRoutes = require('../routes/reviews');
+const { invalidateSettings } = require('../lib/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Generation with the mock provider', () => {
+  const prisma = mockPrisma;
+  let server, baseUrl, token;
+
+  const api = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/reviews', reviewRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/reviews`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    prisma.reset();
+    invalidateSettings();
+    prisma.tables.user.push({
+      id: 'user_1',
+      email: 'owner@casamia.ro',
+      role: 'user',
+      isActive: true,
+      subscriptionPlan: 'free',
+      subscriptionStatus: 'active',
+      subscriptionExpiresAt: new Date(),
+      monthlyLimit: 10
+    });
+    token = jwt.sign({ userId: 'user_1' }, process.env.JWT_SECRET);
+  });
+
+  test('a review is answered by the mock provider, charged and logged', async () => {
+    const { status, body } = await api('/generate', {
+      reviewText: 'The pasta was delicious and the staff very friendly.',
+      tone: 'friendly'
+    });
+
+    expect(status).toBe(200);
+    expect(body.response).toMatch(/^(Thank you|We appreciate)/);
+    expect(body.metadata).toMatchObject({ provider: 'mock', model: 'mock-1', fallback: false, cached: false, cost: '0.000000' });
+    expect(body.usage).toMatchObject({ current: 1, limit: 10, remaining: 9, charged: 1 });
+    expect(prisma.tables.apiCall).toEqual([
+      expect.objectContaining({ kind: 'reply', model: 'mock-1', responseText: body.response, success: true, fallback: false })
+    ]);
+
+    // The same review again is served from the response cache, free of charge
+    const again = await api('/generate', {
+      reviewText: 'The pasta was delicious and the staff very friendly.',
+      tone: 'friendly'
+    });
+    expect(again.body).toMatchObject({ response: body.response, metadata: { cached: true }, usage: { current: 1, charged: 0 } });
+  });
+
+  test('a cached reply is served once the monthly limit is used up, a new review is refused', async () => {
+    const review = { reviewText: 'Warm bread, cold beer and a lovely garden.', tone: 'friendly' };
+    const first = await api('/generate', review);
+    prisma.tables.usage[0].requestCount = 10;
+
+    const again = await api('/generate', review);
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({ response: first.body.response, metadata: { cached: true }, usage: { current: 10, charged: 0 } });
+
+    const other = await api('/generate', { ...review, reviewText: 'Slow service but the dessert made up for it.' });
+    expect(other.status).toBe(429);
+    expect(other.body.code).toBe('USAGE_LIMIT_REACHED');
+  });
+
+  test('a system prompt that mentions JSON still gets a plain reply', async () => {
+    prisma.tables.systemSetting.push({
+      key: 'systemPrompt',
+      value: JSON.stringify('You reply to customer reviews for a business. Never answer with JSON or code.')
+    });
+    invalidateSettings();
+
+    const { status, body } = await api('/generate', {
+      reviewText: 'Good coffee, but the music was far too loud.',
+      tone: 'professional'
+    });
+
+    expect(status).toBe(200);
+    expect(body.response).toMatch(/^(Thank you|We appreciate)/);
+    expect(body.metadata.fallback).toBe(false);
+  });
+
+  test('without an OpenAI API key replies and analyses fall back instead of failing', async () => {
+    const { OPENAI_API_KEY } = process.env;
+    delete process.env.OPENAI_API_KEY;
+    process.env.LLM_PROVIDER_FREE = 'openai';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const reply = await api('/generate', {
+        reviewText: 'Friendly staff and a quiet room, we will come back.',
+        tone: 'friendly'
+      });
+      expect(reply.status).toBe(200);
+      expect(reply.body.response).toEqual(expect.any(String));
+      expect(reply.body.metadata).toMatchObject({ provider: 'openai', fallback: true });
+      expect(reply.body.usage).toMatchObject({ current: 0, charged: 0 });
+
+      const analysis = await api('/analyze', {
+        reviewText: 'Friendly staff and a quiet room, we will come back.'
+      });
+      expect(analysis.status).toBe(200);
+      expect(analysis.body.analysis.source).not.toBe('model');
+      expect(analysis.body.usage).toMatchObject({ current: 0, charged: 0 });
+    } finally {
+      delete process.env.LLM_PROVIDER_FREE;
+      if (OPENAI_API_KEY !== undefined) process.env.OPENAI_API_KEY = OPENAI_API_KEY;
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('a generation past monthlyLimit is paid with a credit', async () => {
+    prisma.tables.usage.push({ id: 'usage_1', userId: 'user_1', month: new Date().getMonth(), year: new Date().getFullYear(), requestCount: 10 });
+    prisma.tables.creditGrant.push({
+      id: 'grant_1',
+      userId: 'user_1',
+      packId: 'credits_50',
+      credits: 50,
+      remaining: 50,
+      reference: 'cs_credits',
+      expiresAt: new Date(Date.now() + 30 * DAY_MS),
+      createdAt: new Date()
+    });
+
+    const { status, body } = await api('/generate', {
+      reviewText: 'Rooms were clean and breakfast was excellent.',
+      tone: 'grateful'
+    });
+
+    expect(status).toBe(200);
+    expect(body.usage).toMatchObject({ current: 11, remaining: 0, charged: 1, credits: 49 });
+    expect(prisma.tables.creditLedgerEntry).toEqual([
+      expect.objectContaining({ type: 'consume', amount: -1, balanceAfter: 49, reference: prisma.tables.apiCall[0].id })
+    ]);
+  });
+
+  test('stats count one request per generated reply, not per variant or analysis', async () => {
+    await api('/generate', { reviewText: 'Great burgers and quick service.', tone: 'friendly' });
+    const variants = await api('/generate', { reviewText: 'The room was small but very clean.', tone: 'professional', variants: 3 });
+    await api('/analyze', { reviewText: 'The room was small but very clean.' });
+    expect(variants.body.candidates).toHaveLength(3);
+
+    const response = await fetch(`${baseUrl}/stats`, { headers: { authorization: `Bearer ${token}` } });
+    const { allTime } = await response.json();
+    expect(allTime.totalRequests).toBe(2);
+  });
+
+  test('maintenance mode is reported before the usage limit', async () => {
+    prisma.tables.usage.push({ id: 'usage_1', userId: 'user_1', month: new Date().getMonth(), year: new Date().getFullYear(), requestCount: 10 });
+    prisma.tables.systemSetting.push({ key: 'maintenanceMode', value: JSON.stringify(true) });
+    invalidateSettings();
+
+    for (const path of ['/generate', '/analyze']) {
+      const { status, body } = await api(path, {
+        reviewText: 'The pasta was delicious and the staff very friendly.',
+        tone: 'friendly'
+      });
+      expect(status).toBe(503);
+      expect(body.code).toBe('MAINTENANCE_MODE');
+    }
+  });
+
+  test('an analysis gets the mock analysis JSON and is charged like a reply', async () => {
+    const { status, body } = await api('/analyze', {
+      reviewText: 'The pasta was delicious and the staff very friendly.'
+    });
+
+    expect(status).toBe(200);
+    expect(body.analysis).toMatchObject({ source: 'model', sentiment: 'neutral', rating: 3, summary: 'Mock analysis' });
+    expect(body.metadata).toMatchObject({ provider: 'mock', model: 'mock-1' });
+    expect(body.usage).toMatchObject({ current: 1, charged: 1 });
+    expect(prisma.tables.apiCall).toEqual([
+      expect.objectContaining({ kind: 'analysis', success: true, tokensUsed: body.metadata.tokensUsed })
+    ]);
+    expect(JSON.parse(prisma.tables.apiCall[0].responseText)).toEqual(body.analysis);
+  });
+});
@@ -0,0 +1,211 @@
+// In-memory stand-in for the Prisma client, shared by the tests
+//
+// Only the queries the code under test makes, over plain arrays in prisma.tables. Rows are
+// copied on the way in and out, like real query results; select is ignored.
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some(branch => matches(row, branch));
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) return condition.in.includes(row[key]);
+      if ('notIn' in condition) return !condition.notIn.includes(row[key]);
+      if ('not' in condition) return (row[key] ?? null) !== condition.not;
+      if ('lte' in condition) return row[key] !== null && row[key] <= condition.lte;
+      if ('gt' in condition) return row[key] !== null && row[key] > condition.gt;
+      if ('gte' in condition) return row[key] !== null && row[key] >= condition.gte;
+      // Compound unique key, e.g. promoCodeId_userId
+      return matches(row, condition);
+    }
+    if (condition instanceof Date) return row[key]?.getTime() === condition.getTime();
+    return (row[key] ?? null) === condition;
+  });
+}
+
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === 'object' && 'increment' in value) row[key] += value.increment;
+    else if (value && typeof value === 'object' && 'decrement' in value) row[key] -= value.decrement;
+    else row[key] = value;
+  }
+  row.updatedAt = new Date();
+  return row;
+}
+
+// Stable sorts, last key first, give the order of the whole orderBy list
+function sortRows(rows, orderBy = []) {
+  for (const order of [].concat(orderBy).reverse()) {
+    const [[key, direction]] = Object.entries(order);
+    const sign = direction === 'desc' ? -1 : 1;
+    rows.sort((a, b) => (a[key] < b[key] ? -sign : a[key] > b[key] ? sign : 0));
+  }
+  return rows;
+}
+
+// Relations include can load: rows pointing here through foreignKey, or the row references points to
+const RELATIONS = {
+  user: {
+    usage: { table: 'usage', foreignKey: 'userId' },
+    businessProfile: { table: 'businessProfile', foreignKey: 'userId', one: true }
+  },
+  batchJob: {
+    user: { table: 'user', references: 'userId' },
+    items: { table: 'batchItem', foreignKey: 'batchId' }
+  }
+};
+
+const DEFAULTS = {
+  stripeEvent: {
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    processedAt: null
+  },
+  usage: { requestCount: 0 },
+  apiCall: {
+    kind: 'reply',
+    finalText: null,
+    edited: false,
+    rating: null,
+    feedbackAt: null,
+    selectedAt: null
+  },
+  batchJob: {
+    status: 'queued',
+    completedItems: 0,
+    failedItems: 0,
+    completedAt: null
+  },
+  batchItem: {
+    status: 'pending',
+    responseText: null,
+    fallback: false,
+    apiCallId: null,
+    errorMessage: null
+  }
+};
+
+function createTestPrisma() {
+  const tables = {
+    stripeEvent: [],
+    user: [],
+    subscriptionHistory: [],
+    creditGrant: [],
+    creditLedgerEntry: [],
+    promoCode: [],
+    promoRedemption: [],
+    usage: [],
+    apiCall: [],
+    businessProfile: [],
+    batchJob: [],
+    batchItem: [],
+    systemSetting: []
+  };
+
+  function withRelations(name, row, include = {}) {
+    for (const [relation, options] of Object.entries(include)) {
+      const spec = RELATIONS[name][relation];
+      const { where = {}, orderBy, include: nested } = options === true ? {} : options;
+
+      if (spec.references) {
+        const target = tables[spec.table].find(candidate => candidate.id === row[spec.references]);
+        row[relation] = target ? withRelations(spec.table, { ...target }, nested) : null;
+      } else {
+        const related = sortRows(tables[spec.table].filter(candidate =>
+          candidate[spec.foreignKey] === row.id && matches(candidate, where)), orderBy)
+          .map(candidate => withRelations(spec.table, { ...candidate }, nested));
+        row[relation] = spec.one ? related[0] || null : related;
+      }
+    }
+    return row;
+  }
+
+  const model = (name) => {
+    const rows = tables[name];
+
+    const insert = (data) => {
+      if (data.id && rows.some(row => row.id === data.id)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const row = {
+        id: `row_${rows.length + 1}`,
+        ...DEFAULTS[name],
+        createdAt: new Date(),
+        ...data,
+        updatedAt: new Date()
+      };
+      rows.push(row);
+      return row;
+    };
+
+    return {
+      async create({ data }) {
+        return { ...insert(data) };
+      },
+      async createMany({ data }) {
+        data.forEach(insert);
+        return { count: data.length };
+      },
+      async findUnique({ where, include }) {
+        const row = rows.find(candidate => matches(candidate, where));
+        return row ? withRelations(name, { ...row }, include) : null;
+      },
+      async findFirst({ where, include }) {
+        const row = rows.find(candidate => matches(candidate, where));
+        return row ? withRelations(name, { ...row }, include) : null;
+      },
+      async findMany({ where, orderBy, take, include }) {
+        return sortRows(rows.filter(row => matches(row, where)), orderBy)
+          .slice(0, take)
+          .map(row => withRelations(name, { ...row }, include));
+      },
+      async count({ where }) {
+        return rows.filter(row => matches(row, where)).length;
+      },
+      async update({ where, data }) {
+        const row = rows.find(candidate => matches(candidate, where));
+        if (!row) throw Object.assign(new Error('Record not found'), { code: 'P2025' });
+        return { ...applyData(row, data) };
+      },
+      async updateMany({ where, data }) {
+        const matched = rows.filter(row => matches(row, where));
+        matched.forEach(row => applyData(row, data));
+        return { count: matched.length };
+      },
+      async upsert({ where, update, create }) {
+        const row = rows.find(candidate => matches(candidate, where));
+        return { ...(row ? applyData(row, update) : insert(create)) };
+      },
+      // One row per distinct combination of the by fields; no aggregates
+      async groupBy({ by, where }) {
+        const groups = new Map();
+        rows.filter(row => matches(row, where)).forEach(row => {
+          const values = Object.fromEntries(by.map(key => [key, row[key] ?? null]));
+          groups.set(JSON.stringify(values), values);
+        });
+        return [...groups.values()];
+      },
+      async aggregate({ where, _sum }) {
+        const matched = rows.filter(row => matches(row, where));
+        return {
+          _sum: Object.fromEntries(Object.keys(_sum).map(key => [key, matched.reduce((sum, row) => sum + row[key], 0)]))
+        };
+      }
+    };
+  };
+
+  return {
+    tables,
+    // systemSetting is empty unless a test stores settings, so every setting is its default
+    ...Object.fromEntries(Object.keys(tables).map(name => [name, model(name)])),
+    async $transaction(operations) {
+      return typeof operations === 'function' ? operations(this) : Promise.all(operations);
+    },
+    // Empty every table, for a stand-in shared by a whole test file
+    reset() {
+      Object.values(tables).forEach(rows => rows.splice(0));
+    }
+  };
+}
+
+module.exports = { createTestPrisma };
@@ -0,0 +1,53 @@
+// Which moderation categories stop a review and which stop a generated reply (lib/moderation.js)
+
+process.env.MODERATION_PROVIDER = 'local';
+
+const { moderateText } = require('../lib/moderation');
+
+describe('input moderation', () => {
+  test('an angry review is flagged but still answered', async () => {
+    const result = await moderateText('The manager is a liar and the whole place is a scam.', { stage: 'input' });
+
+    expect(result).toMatchObject({ flagged: true, blocked: false, source: 'local' });
+    expect(result.categories).toEqual(['defamation']);
+  });
+
+  test('a threat is blocked', async () => {
+    const result = await moderateText('Do that again and I will burn this place down.', { stage: 'input' });
+    expect(result).toMatchObject({ flagged: true, blocked: true, categories: ['threat'] });
+  });
+});
+
+describe('output moderation', () => {
+  test('a benign reply that uses a lexicon word is flagged, not blocked', async () => {
+    const result = await moderateText(
+      "We're sorry you felt our pricing was a scam; every charge is listed on the menu.",
+      { stage: 'output' }
+    );
+
+    expect(result).toMatchObject({ flagged: true, blocked: false, categories: ['defamation'] });
+  });
+
+  test('a threatening reply is blocked', async () => {
+    const result = await moderateText('If you post this again we will beat you.', { stage: 'output' });
+    expect(result).toMatchObject({ blocked: true, categories: ['threat'] });
+  });
+
+  test('personal data that is not the business\'s own is blocked', async () => {
+    const result = await moderateText('Thank you, Maria! We will call you back at 0722 123 456.', {
+      stage: 'output',
+      businessText: 'Casa Mia\nFamily restaurant in Cluj'
+    });
+
+    expect(result).toMatchObject({ blocked: true, categories: ['pii'] });
+  });
+
+  test('contact details from the business information may be published', async () => {
+    const result = await moderateText('Please call us at 0264 555 123 or write to hello@casamia.ro.', {
+      stage: 'output',
+      businessText: 'Casa Mia\nReservations: 0264 555 123, hello@casamia.ro'
+    });
+
+    expect(result).toMatchObject({ flagged: false, blocked: false, categories: [] });
+  });
+});
@@ -0,0 +1,79 @@
+// Which promotion codes a user may apply at Checkout (lib/promo-codes.js)
+
+const { findRedeemablePromo } = require('../lib/promo-codes');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+describe('findRedeemablePromo', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+  const options = { planId: 'premium', userId: 'user_1', now };
+  let prisma;
+
+  const addCode = (code, fields = {}) => prisma.tables.promoCode.push({
+    id: `promo_${code}`,
+    code,
+    trialDays: 30,
+    stripeCouponId: null,
+    plans: null,
+    maxRedemptions: null,
+    redemptionCount: 0,
+    expiresAt: null,
+    isActive: true,
+    ...fields
+  });
+
+  beforeEach(() => {
+    prisma = createTestPrisma();
+  });
+
+  test('finds an active code, whatever case it is typed in', async () => {
+    addCode('PARTNER30');
+
+    const { promo, reason } = await findRedeemablePromo(prisma, '  partner30 ', options);
+    expect(reason).toBeUndefined();
+    expect(promo).toMatchObject({ id: 'promo_PARTNER30', trialDays: 30 });
+  });
+
+  test('unknown and deactivated codes are not found', async () => {
+    addCode('RETIRED', { isActive: false });
+
+    expect(await findRedeemablePromo(prisma, 'NOSUCHCODE', options)).toEqual({ reason: 'not_found' });
+    expect(await findRedeemablePromo(prisma, 'RETIRED', options)).toEqual({ reason: 'not_found' });
+  });
+
+  test('a code past its expiry date is expired', async () => {
+    addCode('SPRING', { expiresAt: new Date('2026-06-01T00:00:00Z') });
+    addCode('SUMMER', { expiresAt: new Date('2026-09-01T00:00:00Z') });
+
+    expect(await findRedeemablePromo(prisma, 'SPRING', options)).toEqual({ reason: 'expired' });
+    expect(await findRedeemablePromo(prisma, 'SUMMER', options)).toHaveProperty('promo');
+  });
+
+  test('a code that used up maxRedemptions is exhausted', async () => {
+    addCode('FIRST100', { maxRedemptions: 100, redemptionCount: 100 });
+    addCode('FIRST200', { maxRedemptions: 200, redemptionCount: 199 });
+
+    expect(await findRedeemablePromo(prisma, 'FIRST100', options)).toEqual({ reason: 'exhausted' });
+    expect(await findRedeemablePromo(prisma, 'FIRST200', options)).toHaveProperty('promo');
+  });
+
+  test('a code limited to other plans does not apply', async () => {
+    addCode('BASICONLY', { plans: JSON.stringify(['basic']) });
+
+    expect(await findRedeemablePromo(prisma, 'BASICONLY', options)).toEqual({ reason: 'wrong_plan' });
+    expect(await findRedeemablePromo(prisma, 'BASICONLY', { ...options, planId: 'basic' })).toHaveProperty('promo');
+  });
+
+  test('a user cannot redeem the same code twice', async () => {
+    addCode('PARTNER30');
+    prisma.tables.promoRedemption.push({
+      id: 'redemption_1',
+      promoCodeId: 'promo_PARTNER30',
+      userId: 'user_1',
+      planId: 'premium',
+      stripeSessionId: 'cs_earlier'
+    });
+
+    expect(await findRedeemablePromo(prisma, 'PARTNER30', options)).toEqual({ reason: 'already_used' });
+    expect(await findRedeemablePromo(prisma, 'PARTNER30', { ...options, userId: 'user_2' })).toHaveProperty('promo');
+  });
+});
@@ -0,0 +1,55 @@
+// Regression corpus for prompt injection through review text (tests/fixtures/prompt-injections.json)
+
+const corpus = require('./fixtures/prompt-injections.json');
+const { buildResponsePrompt, buildMessages } = require('../lib/prompt');
+const { checkOutputPolicy } = require('../lib/output-policy');
+const { resolveBusinessContext } = require('../lib/business');
+
+const business = resolveBusinessContext({ businessProfile: corpus.business }, {});
+
+describe('review delimiting', () => {
+  test.each(corpus.attacks.map(attack => [attack.id, attack]))('%s stays inside the review block', (id, attack) => {
+    const prompt = buildResponsePrompt(attack.review, 'friendly', 'en', business, null);
+
+    const lines = prompt.split('\n');
+    const open = lines.indexOf('<review>');
+    const close = lines.indexOf('</review>');
+
+    expect(lines.filter(line => line === '<review>')).toHaveLength(1);
+    expect(lines.filter(line => line === '</review>')).toHaveLength(1);
+    expect(lines.slice(open + 1, close).join('\n')).not.toMatch(/[<>]/);
+    expect(lines.lastIndexOf('Instructions:')).toBeGreaterThan(close);
+  });
+
+  test('system message marks the review as untrusted', () => {
+    const [system] = buildMessages('prompt');
+    expect(system.role).toBe('system');
+    expect(system.content).toMatch(/untrusted/);
+  });
+});
+
+describe('output policy', () => {
+  test.each(corpus.attacks.map(attack => [attack.id, attack]))('%s: injected reply is rejected', (id, attack) => {
+    const result = checkOutputPolicy(attack.injectedReply, business);
+
+    expect(result.allowed).toBe(false);
+    expect(result.violations.map(violation => violation.rule)).toContain(attack.rule);
+  });
+
+  test.each(corpus.safeReplies)('allows: %s', reply => {
+    expect(checkOutputPolicy(reply, business)).toEqual({ allowed: true, violations: [] });
+  });
+
+  test('offers made by the business profile itself are allowed', () => {
+    const offering = { ...business, specialInstructions: 'We offer a 10% discount to returning guests' };
+
+    expect(checkOutputPolicy('Enjoy a 10% discount next time!', offering).allowed).toBe(true);
+    expect(checkOutputPolicy('Enjoy a 10% discount next time!', business).allowed).toBe(false);
+  });
+
+  test('a refusal in the profile does not count as an offer', () => {
+    const refusing = { ...business, specialInstructions: 'Never offer refunds in public replies' };
+
+    expect(checkOutputPolicy('We will refund your order.', refusing).allowed).toBe(false);
+  });
+});
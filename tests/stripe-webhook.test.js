@@ -0,0 +1,328 @@
+// Stripe webhook verification, idempotency, retries and replay (tests/fixtures/stripe-events.json)
+//
+// Payloads are signed locally with the fixture secret, exactly as Stripe signs them, and go
+// through express.raw like in server.js. No Stripe account or database is needed: the Stripe
+// API call is a jest mock and the Prisma client is the in-memory stand-in of tests/helpers.
+
+const express = require('express');
+const Stripe = require('stripe');
+const fixtures = require('./fixtures/stripe-events.json');
+const {
+  MAX_ATTEMPTS,
+  processStripeEvent,
+  retryStripeEvents,
+  createWebhookHandler
+} = require('../lib/stripe-webhooks');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+describe('Stripe webhook', () => {
+  let prisma, stripe, server, url;
+
+  const sign = (payload, secret = fixtures.secret) =>
+    stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const deliver = async (event, { signature, body } = {}) => {
+    const payload = body || JSON.stringify(event, null, 2);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'stripe-signature': signature || sign(payload)
+      },
+      body: payload
+    });
+    const text = await response.text();
+    return { status: response.status, body: response.headers.get('content-type').includes('json') ? JSON.parse(text) : text };
+  };
+
+  const user = () => prisma.tables.user[0];
+  const storedEvent = (id) => prisma.tables.stripeEvent.find(row => row.id === id);
+  const history = () => prisma.tables.subscriptionHistory;
+
+  beforeEach(async () => {
+    prisma = createTestPrisma();
+    prisma.tables.user.push({ ...fixtures.user });
+
+    // Webhook signing is local crypto; only the API call needs a mock
+    stripe = Stripe('sk_test_fixture');
+    stripe.subscriptions.retrieve = jest.fn(async () => ({ ...fixtures.subscription }));
+
+    // Same order as server.js: raw body for the webhook, JSON for everything else
+    const app = express();
+    app.use('/webhook', express.raw({ type: 'application/json' }));
+    app.use(express.json());
+    app.post('/webhook', createWebhookHandler({ prisma, stripe, secret: fixtures.secret }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/webhook`;
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('a signed checkout event upgrades the user and is logged', async () => {
+    const response = await deliver(fixtures.events.checkoutCompleted);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, duplicate: false, status: 'processed' });
+    expect(user()).toMatchObject({
+      subscriptionPlan: 'premium',
+      monthlyLimit: 500,
+      subscriptionStatus: 'active',
+      stripeSubscriptionId: 'sub_fixture',
+      subscriptionExpiresAt: new Date(fixtures.subscription.current_period_end * 1000)
+    });
+    expect(storedEvent('evt_checkout_completed')).toMatchObject({
+      type: 'checkout.session.completed',
+      status: 'processed',
+      attempts: 1
+    });
+  });
+
+  test('a redelivered event is not processed twice', async () => {
+    await deliver(fixtures.events.checkoutCompleted);
+    const response = await deliver(fixtures.events.checkoutCompleted);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ received: true, duplicate: true, status: 'processed' });
+    expect(stripe.subscriptions.retrieve).toHaveBeenCalledTimes(1);
+    expect(prisma.tables.stripeEvent).toHaveLength(1);
+    expect(storedEvent('evt_checkout_completed').attempts).toBe(1);
+  });
+
+  test('rejects a payload signed with another secret', async () => {
+    const payload = JSON.stringify(fixtures.events.checkoutCompleted);
+    const response = await deliver(null, { body: payload, signature: sign(payload, 'whsec_wrong') });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatch(/^Webhook Error/);
+    expect(prisma.tables.stripeEvent).toHaveLength(0);
+    expect(user().subscriptionPlan).toBe('free');
+  });
+
+  test('rejects a payload changed after signing', async () => {
+    const payload = JSON.stringify(fixtures.events.checkoutCompleted);
+    const tampered = payload.replace('"premium"', '"enterprise"');
+    const response = await deliver(null, { body: tampered, signature: sign(payload) });
+
+    expect(response.status).toBe(400);
+    expect(prisma.tables.stripeEvent).toHaveLength(0);
+  });
+
+  test('verification depends on the exact bytes, which is why the body must stay raw', async () => {
+    const payload = JSON.stringify(fixtures.events.checkoutCompleted, null, 2);
+    const signature = sign(payload);
+
+    expect(() => stripe.webhooks.constructEvent(payload, signature, fixtures.secret)).not.toThrow();
+    expect(() => stripe.webhooks.constructEvent(JSON.stringify(JSON.parse(payload)), signature, fixtures.secret)).toThrow();
+  });
+
+  test('subscription updates and deletion follow the customer', async () => {
+    await deliver(fixtures.events.checkoutCompleted);
+
+    await deliver(fixtures.events.subscriptionCancelled);
+    expect(user().subscriptionStatus).toBe('cancelled');
+
+    await deliver(fixtures.events.subscriptionDeleted);
+    expect(user()).toMatchObject({
+      subscriptionPlan: 'free',
+      monthlyLimit: 10,
+      subscriptionStatus: 'cancelled',
+      stripeSubscriptionId: null
+    });
+
+    await deliver(fixtures.events.paymentFailed);
+    expect(user().subscriptionStatus).toBe('past_due');
+  });
+
+  test('every plan transition syncs monthlyLimit and is recorded in the history', async () => {
+    await deliver(fixtures.events.checkoutCompleted);
+
+    // Same plan, only the cancellation flag changes: not a transition
+    await deliver(fixtures.events.subscriptionCancelled);
+
+    await deliver(fixtures.events.subscriptionUpgraded);
+    expect(user()).toMatchObject({ subscriptionPlan: 'enterprise', monthlyLimit: -1 });
+
+    await deliver(fixtures.events.subscriptionDeleted);
+
+    expect(history().map(({ fromPlan, toPlan, fromLimit, toLimit, reason, source, stripeEventId }) =>
+      ({ fromPlan, toPlan, fromLimit, toLimit, reason, source, stripeEventId }))).toEqual([
+      { fromPlan: 'free', toPlan: 'premium', fromLimit: 10, toLimit: 500, reason: 'checkout', source: 'stripe', stripeEventId: 'evt_checkout_completed' },
+      { fromPlan: 'premium', toPlan: 'enterprise', fromLimit: 500, toLimit: -1, reason: 'upgrade', source: 'stripe', stripeEventId: 'evt_subscription_upgraded' },
+      { fromPlan: 'enterprise', toPlan: 'free', fromLimit: -1, toLimit: 10, reason: 'cancellation', source: 'stripe', stripeEventId: 'evt_subscription_deleted' }
+    ]);
+  });
+
+  test('a redelivered or replayed event does not add history rows', async () => {
+    await deliver(fixtures.events.checkoutCompleted);
+    await deliver(fixtures.events.checkoutCompleted);
+    await processStripeEvent(prisma, stripe, 'evt_checkout_completed', { force: true });
+
+    expect(history()).toHaveLength(1);
+  });
+
+  test('a checkout that starts a trial marks the user as trialing', async () => {
+    const trialEnd = fixtures.subscription.current_period_end;
+    stripe.subscriptions.retrieve.mockResolvedValueOnce({ ...fixtures.subscription, status: 'trialing', trial_end: trialEnd });
+
+    await deliver(fixtures.events.checkoutCompleted);
+
+    expect(user()).toMatchObject({
+      subscriptionPlan: 'premium',
+      monthlyLimit: 500,
+      subscriptionStatus: 'trialing',
+      trialEndsAt: new Date(trialEnd * 1000)
+    });
+
+    // Conversion at the end of the trial
+    await deliver(fixtures.events.subscriptionUpgraded);
+    expect(user()).toMatchObject({ subscriptionStatus: 'active', trialEndsAt: new Date(trialEnd * 1000) });
+  });
+
+  test('the $0 invoice of a starting trial keeps the user trialing', async () => {
+    const trialEnd = fixtures.subscription.current_period_end;
+    const trialing = { ...fixtures.subscription, status: 'trialing', trial_end: trialEnd };
+    stripe.subscriptions.retrieve.mockResolvedValue(trialing);
+
+    await deliver(fixtures.events.checkoutCompleted);
+    await deliver(fixtures.events.trialInvoicePaid);
+
+    expect(user()).toMatchObject({ subscriptionStatus: 'trialing', trialEndsAt: new Date(trialEnd * 1000) });
+    expect(user().trialSettledAt).toBeUndefined();
+  });
+
+  test('the first invoice that charges the card settles the trial', async () => {
+    const trialEnd = fixtures.subscription.current_period_end;
+    stripe.subscriptions.retrieve.mockResolvedValueOnce({ ...fixtures.subscription, status: 'trialing', trial_end: trialEnd });
+    await deliver(fixtures.events.checkoutCompleted);
+
+    const paid = structuredClone(fixtures.events.trialInvoicePaid);
+    paid.id = 'evt_first_invoice_paid';
+    Object.assign(paid.data.object, { id: 'in_first_charge', amount_paid: 2900, billing_reason: 'subscription_cycle' });
+    await deliver(paid);
+
+    expect(user()).toMatchObject({ subscriptionStatus: 'active', trialSettledAt: expect.any(Date) });
+  });
+
+  test('a promotion code is redeemed once per completed checkout', async () => {
+    prisma.tables.promoCode.push({ id: 'promo_1', code: 'PARTNER30', redemptionCount: 0 });
+    const event = structuredClone(fixtures.events.checkoutCompleted);
+    event.data.object.metadata.promoCodeId = 'promo_1';
+
+    await deliver(event);
+    await processStripeEvent(prisma, stripe, event.id, { force: true });
+
+    expect(prisma.tables.promoRedemption).toEqual([
+      expect.objectContaining({ promoCodeId: 'promo_1', userId: 'user_1', planId: 'premium', stripeSessionId: 'cs_test_fixture' })
+    ]);
+    expect(prisma.tables.promoCode[0].redemptionCount).toBe(1);
+  });
+
+  test('a paid credit pack checkout adds credits once, however often it is replayed', async () => {
+    const response = await deliver(fixtures.events.creditPackPurchased);
+    expect(response.body.status).toBe('processed');
+    await processStripeEvent(prisma, stripe, 'evt_credit_pack_purchased', { force: true });
+
+    expect(prisma.tables.creditGrant).toHaveLength(1);
+    expect(prisma.tables.creditGrant[0]).toMatchObject({ userId: 'user_1', packId: 'credits_50', credits: 50, remaining: 50, reference: 'cs_test_credits' });
+    expect(prisma.tables.creditGrant[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(prisma.tables.creditLedgerEntry).toEqual([
+      expect.objectContaining({ type: 'purchase', amount: 50, balanceAfter: 50, reference: 'cs_test_credits' })
+    ]);
+
+    // A one-time payment leaves the subscription alone
+    expect(stripe.subscriptions.retrieve).not.toHaveBeenCalled();
+    expect(user()).toMatchObject({ subscriptionPlan: 'free', monthlyLimit: 10 });
+  });
+
+  test('event types without a handler are logged as ignored', async () => {
+    const response = await deliver(fixtures.events.customerCreated);
+
+    expect(response.body.status).toBe('ignored');
+    expect(storedEvent('evt_customer_created').status).toBe('ignored');
+  });
+
+  test('a failed event is acknowledged, then retried from the log', async () => {
+    stripe.subscriptions.retrieve.mockRejectedValueOnce(new Error('Stripe API unavailable'));
+
+    const response = await deliver(fixtures.events.checkoutCompleted);
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('failed');
+
+    const failed = storedEvent('evt_checkout_completed');
+    expect(failed).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Stripe API unavailable' });
+    expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(user().subscriptionPlan).toBe('free');
+
+    // Nothing is due yet
+    expect(await retryStripeEvents(prisma, stripe)).toHaveLength(0);
+
+    const [retried] = await retryStripeEvents(prisma, stripe, new Date(failed.nextAttemptAt.getTime() + 1000));
+    expect(retried).toMatchObject({ status: 'processed', attempts: 2, lastError: null });
+    expect(user().subscriptionPlan).toBe('premium');
+  });
+
+  test('a redelivery of a failed event processes it again', async () => {
+    stripe.subscriptions.retrieve.mockRejectedValueOnce(new Error('Stripe API unavailable'));
+    await deliver(fixtures.events.checkoutCompleted);
+
+    const response = await deliver(fixtures.events.checkoutCompleted);
+    expect(response.body).toMatchObject({ duplicate: true, status: 'processed' });
+    expect(user().subscriptionPlan).toBe('premium');
+  });
+
+  test(`automatic retries stop after ${MAX_ATTEMPTS} attempts`, async () => {
+    stripe.subscriptions.retrieve.mockRejectedValue(new Error('Stripe API unavailable'));
+    await deliver(fixtures.events.checkoutCompleted);
+
+    let row = storedEvent('evt_checkout_completed');
+    while (row.nextAttemptAt) {
+      await retryStripeEvents(prisma, stripe, new Date(row.nextAttemptAt.getTime() + 1000));
+      row = storedEvent('evt_checkout_completed');
+    }
+
+    expect(row).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, nextAttemptAt: null });
+    expect(await retryStripeEvents(prisma, stripe, new Date(Date.now() + 365 * 24 * 60 * 60 * 1000))).toHaveLength(0);
+  });
+
+  test('an event abandoned mid-processing is picked up again', async () => {
+    const { checkoutCompleted } = fixtures.events;
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    prisma.tables.stripeEvent.push({
+      id: checkoutCompleted.id,
+      type: checkoutCompleted.type,
+      payload: JSON.stringify(checkoutCompleted),
+      status: 'processing',
+      attempts: 1,
+      lastError: null,
+      nextAttemptAt: null,
+      processedAt: null,
+      createdAt: longAgo,
+      updatedAt: longAgo
+    });
+
+    const [result] = await retryStripeEvents(prisma, stripe);
+    expect(result).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  test('replay re-runs a processed event only when forced', async () => {
+    await deliver(fixtures.events.checkoutCompleted);
+    user().subscriptionPlan = 'free';
+
+    const skipped = await processStripeEvent(prisma, stripe, 'evt_checkout_completed');
+    expect(skipped.attempts).toBe(1);
+    expect(user().subscriptionPlan).toBe('free');
+
+    const replayed = await processStripeEvent(prisma, stripe, 'evt_checkout_completed', { force: true });
+    expect(replayed).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(user().subscriptionPlan).toBe('premium');
+  });
+});
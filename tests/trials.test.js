@@ -0,0 +1,146 @@
+// Trial eligibility and the expiry sweep for trials that never converted (lib/trials.js)
+
+const { TRIAL_DAYS } = require('../lib/plans');
+const { trialDaysFor, settleTrial, expireTrials } = require('../lib/trials');
+const { createTestPrisma } = require('./helpers/test-prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const settings = { trialDays: { ...TRIAL_DAYS } };
+
+describe('trialDaysFor', () => {
+  const newUser = { id: 'user_1', trialEndsAt: null };
+
+  test('a first subscription gets the trial of its plan', () => {
+    expect(trialDaysFor(newUser, 'premium', settings)).toBe(TRIAL_DAYS.premium);
+    expect(trialDaysFor(newUser, 'enterprise', settings)).toBe(0);
+  });
+
+  test('a promo code replaces the trial length of the plan', () => {
+    expect(trialDaysFor(newUser, 'premium', settings, { trialDays: 30 })).toBe(30);
+    expect(trialDaysFor(newUser, 'premium', settings, { trialDays: null, stripeCouponId: 'coupon_1' })).toBe(TRIAL_DAYS.premium);
+  });
+
+  test('a user who already had a trial does not get a second one', () => {
+    const trialed = { ...newUser, trialEndsAt: new Date('2026-01-15T00:00:00Z') };
+
+    expect(trialDaysFor(trialed, 'premium', settings)).toBe(0);
+    expect(trialDaysFor(trialed, 'basic', settings, { trialDays: 30 })).toBe(0);
+  });
+});
+
+describe('settleTrial', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+
+  test('settles an open trial once', () => {
+    expect(settleTrial({ trialEndsAt: now, trialSettledAt: null }, now)).toEqual({ trialSettledAt: now });
+    expect(settleTrial({ trialEndsAt: now, trialSettledAt: new Date('2026-06-01T00:00:00Z') }, now)).toEqual({});
+  });
+
+  test('users who never had a trial have nothing to settle', () => {
+    expect(settleTrial({ trialEndsAt: null, trialSettledAt: null }, now)).toEqual({});
+  });
+});
+
+describe('expireTrials', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+  let prisma;
+
+  const addUser = (id, fields) => prisma.tables.user.push({
+    id,
+    email: `${id}@example.com`,
+    subscriptionPlan: 'premium',
+    subscriptionStatus: 'trialing',
+    subscriptionExpiresAt: daysAgo(2),
+    stripeSubscriptionId: `sub_${id}`,
+    monthlyLimit: 500,
+    trialEndsAt: daysAgo(2),
+    trialSettledAt: null,
+    ...fields
+  });
+  const userById = (id) => prisma.tables.user.find(user => user.id === id);
+
+  beforeEach(() => {
+    prisma = createTestPrisma();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a trial that ran out without converting is moved to free', async () => {
+    addUser('lapsed', {});
+
+    expect(await expireTrials(prisma, now)).toBe(1);
+    expect(userById('lapsed')).toMatchObject({ subscriptionPlan: 'free', monthlyLimit: 10, subscriptionStatus: 'expired' });
+    expect(prisma.tables.subscriptionHistory).toEqual([
+      expect.objectContaining({
+        userId: 'lapsed',
+        fromPlan: 'premium',
+        toPlan: 'free',
+        fromLimit: 500,
+        toLimit: 10,
+        reason: 'trial_expired',
+        source: 'system'
+      })
+    ]);
+  });
+
+  test('a trial whose first charge failed is moved to free', async () => {
+    addUser('past_due', { subscriptionStatus: 'past_due' });
+
+    expect(await expireTrials(prisma, now)).toBe(1);
+    expect(userById('past_due')).toMatchObject({ subscriptionPlan: 'free', subscriptionStatus: 'expired' });
+  });
+
+  test('converted trials, trials within the grace period and paid periods are left alone', async () => {
+    addUser('converted', { subscriptionStatus: 'active', subscriptionExpiresAt: daysAgo(-28) });
+    addUser('grace', { trialEndsAt: new Date(now.getTime() - 60 * 60 * 1000) });
+    addUser('cancelled', { subscriptionStatus: 'cancelled', subscriptionExpiresAt: daysAgo(-28) });
+    addUser('free', { subscriptionPlan: 'free', subscriptionStatus: 'expired', monthlyLimit: 10, stripeSubscriptionId: null });
+
+    expect(await expireTrials(prisma, now)).toBe(0);
+    expect(prisma.tables.user.map(user => user.subscriptionStatus)).toEqual(['active', 'trialing', 'cancelled', 'expired']);
+    expect(prisma.tables.subscriptionHistory).toHaveLength(0);
+  });
+
+  test('a converted trial whose renewal fails later is left to dunning', async () => {
+    addUser('renewal_failed', {
+      subscriptionStatus: 'past_due',
+      trialEndsAt: daysAgo(200),
+      ...settleTrial({ trialEndsAt: daysAgo(200) }, daysAgo(199))
+    });
+
+    expect(await expireTrials(prisma, now)).toBe(0);
+    expect(userById('renewal_failed')).toMatchObject({ subscriptionPlan: 'premium', subscriptionStatus: 'past_due' });
+  });
+
+  test('a plan an admin set by hand on a former trial user is kept', async () => {
+    // Trial lapsed and expired to free, then an admin gave the user premium without a subscription
+    addUser('override', {
+      subscriptionStatus: 'active',
+      subscriptionExpiresAt: daysAgo(-30),
+      stripeSubscriptionId: null,
+      trialEndsAt: daysAgo(60),
+      ...settleTrial({ trialEndsAt: daysAgo(60) }, daysAgo(5))
+    });
+    // Same override on a user who was still trialing
+    addUser('override_trialing', {
+      stripeSubscriptionId: null,
+      ...settleTrial({ trialEndsAt: daysAgo(2) }, daysAgo(3))
+    });
+
+    expect(await expireTrials(prisma, now)).toBe(0);
+    expect(prisma.tables.user.map(user => user.subscriptionPlan)).toEqual(['premium', 'premium']);
+    expect(prisma.tables.subscriptionHistory).toHaveLength(0);
+  });
+
+  test('a second sweep finds nothing left to expire', async () => {
+    addUser('lapsed', {});
+
+    await expireTrials(prisma, now);
+    expect(await expireTrials(prisma, now)).toBe(0);
+    expect(prisma.tables.subscriptionHistory).toHaveLength(1);
+  });
+});